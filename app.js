@@ -4,28 +4,103 @@ const SAMPLE_DATA = {
   accounts: [28988, 75699, 170312, 323900, 475110, 684196, 992318, 1191417, 1331101, 1601099, 1690404, 1833495, 2024223, 1900206, 1995234, 2186658, 2186357, 2382030, 2270589, 2235095]
 };
 
+// Scenario presets: the three initial scenarios, and starting parameters for added scenarios and "load preset"
+// (peak_quarter / half_life set the timing of each lever's default effect shape, see presetLeverEffects).
+// delta_t, half_life and peak_quarter are in quarters and converted to periods of the data granularity
+// when an intervention is created (scalePresetTiming)
+const SCENARIO_PRESETS = {
+  conservative: { name: '保守型', color: '#3b82f6', params: { alpha: 0.10, delta_t: 0.5, kappa: 0.02, half_life: 6, peak_quarter: 4 } },
+  moderate: { name: '穩健型', color: '#10b981', params: { alpha: 0.20, delta_t: 1.0, kappa: 0.05, half_life: 8, peak_quarter: 6 } },
+  aggressive: { name: '積極型', color: '#ef4444', params: { alpha: 0.35, delta_t: 1.5, kappa: 0.08, half_life: 10, peak_quarter: 8 } }
+};
+const BASELINE_COLOR = '#6b7280';
+// First intervention of a scenario: default name and launch quarter of the forecast (converted to a
+// period of the data granularity, see defaultLaunchPeriod)
+const DEFAULT_INTERVENTION_NAME = '平台上線';
+const DEFAULT_LAUNCH_QUARTER = 3;
+// Lever bounds: editable per scenario (scenario.bounds); intervention parameters outside them are
+// computed at the bound and reported. Negative values model adverse events (price rises, a competitor
+// launch). LEVER_LIMITS is the valid range of the bounds themselves: alpha and kappa must stay above
+// -100% so the growth rate and K remain positive. The delta_t bounds are in quarters (see
+// defaultLeverBounds and leverLimits)
+const DEFAULT_LEVER_BOUNDS = { alpha: { min: -0.5, max: 0.5 }, delta_t: { min: -5, max: 5 }, kappa: { min: -0.2, max: 0.2 } };
+const LEVER_LIMITS = { alpha: { min: -0.9, max: 3 }, delta_t: { min: -20, max: 20 }, kappa: { min: -0.9, max: 2 } };
+const MIN_CAPACITY_FACTOR = 0.1; // K keeps at least 10% of the baseline when negative kappas add up
+
 // Application state
 const state = {
   currentStep: 1,
   historicalData: [],
   dataQuality: null,
   fittedParams: null,
-  forecastData: null,
-  scenarios: ['conservative', 'moderate', 'aggressive'],
-  scenarioParams: {
-    conservative: { alpha: 0.10, delta_t: 0.5, kappa: 0.02, half_life: 6, peak_quarter: 4 },
-    moderate: { alpha: 0.20, delta_t: 1.0, kappa: 0.05, half_life: 8, peak_quarter: 6 },
-    aggressive: { alpha: 0.35, delta_t: 1.5, kappa: 0.08, half_life: 10, peak_quarter: 8 }
+  granularity: 'quarter', // PERIOD_GRANULARITIES key, detected from the period format; the forecast grid in date mode
+  scenarioGranularity: 'quarter', // granularity of the period counts in the scenarios and cost schedule, see syncScenarioTiming
+  dateMode: false, // true when the input is irregular dates (YYYY-MM-DD); rows are fitted on a continuous time axis t
+  periodOrigin: 0, // ordinal of the period where t = 0 starts
+  inputMode: 'stock', // 'stock' = cumulative accounts; 'flow' = per-period new (and churned) accounts, accumulated before fitting
+  flowFitTarget: 'net', // cumulative series fitted in flow mode: 'net' (after churn) or 'gross'
+  selectedModel: 'gompertz', // GROWTH_MODELS key driving forecasts and interventions
+  modelFits: null,
+  backtestResults: null,
+  fitSettings: { loss: 'squared', recencyHalfLife: 0, outlierWeight: 1 },
+  paramConstraints: {}, // parameter bounds and Gaussian priors (param key → { lower, upper, mean, sd }, unset fields null)
+  parameterUncertainty: null,
+  calibrationSettings: { launchT: null, preset: 'moderate', levers: ['alpha', 'kappa'] }, // post-launch calibration: launch t (null = off), preset and levers
+  calibration: null,
+  churnSettings: { mode: 'none', fitRate: true, rate: 0.02, earlyMultiplier: 2, earlyPeriods: 4 }, // churn layer inputs (CHURN_MODES key and rates)
+  churn: null, // churn layer used by the fit { mode, rate, earlyMultiplier, earlyPeriods, source }; null = accounts never churn
+  displaySettings: { inputCurrency: 'TWD', currency: 'TWD', fxRate: 1, notation: 'standard' }, // money currencies, FX rate (1 input unit = fxRate display units) and NUMBER_NOTATIONS key
+  // Platform cost schedule for the ROI: capex tranches [{ period (forecast period N), amount }] and opex (OPEX_FIELDS keys);
+  // launch marketing spend is kept on each intervention
+  costSchedule: {
+    capex: [{ period: 1, amount: 1000000 }],
+    opex: { startPeriod: 2, annual: 100000, perAccount: 0, stepAccounts: 0, stepCost: 0 }
   },
-  platformLaunchQuarter: 1,
+  forecastData: null,
+  // User-defined scenarios: { id, name, color, bounds (lever bounds), interventions }, edited in Step 3;
+  // each intervention is { id, name, launch (launch period, first forecast period = 1; ≤ 0 when already live in the history),
+  // marketing (one-off spend in the launch period), params (alpha / delta_t / kappa strengths), effects (per-lever effect shapes) }
+  scenarios: Object.entries(SCENARIO_PRESETS).map(([id, preset]) => ({
+    id,
+    name: preset.name,
+    color: preset.color,
+    bounds: cloneBounds(DEFAULT_LEVER_BOUNDS),
+    interventions: [createIntervention('platform', DEFAULT_INTERVENTION_NAME, DEFAULT_LAUNCH_QUARTER, preset, 1)] // starts out quarterly
+  })),
   interpolationMethod: 'ignore'
 };
 
 let fittingChart = null;
 let forecastChart = null;
 let incrementalChart = null;
+let backtestChart = null;
+let cancelBootstrap = null;
+let cancelMonteCarlo = null;
+let monteCarloChart = null;
+let tornadoChart = null;
 
 // Utility functions
+// Large-number notation shared by counts and money: compact uses Intl's abbreviations (萬/億 in zh-TW, K/M/B in en-US)
+const NUMBER_NOTATIONS = {
+  standard: { name: '完整數字 (1,234,567)', locale: 'zh-TW' },
+  zh: { name: '萬 / 億 (123.46萬)', locale: 'zh-TW', compact: true },
+  en: { name: 'K / M / B (1.23M)', locale: 'en-US', compact: true }
+};
+const CURRENCIES = {
+  TWD: { name: '新台幣 (TWD)', symbol: 'NT$', decimals: 0 },
+  USD: { name: '美元 (USD)', symbol: 'US$', decimals: 2 },
+  JPY: { name: '日圓 (JPY)', symbol: '¥', decimals: 0 }
+};
+
+// Number format for the current notation (fixed `decimals` places when written out in full)
+function numberFormat(decimals) {
+  const notation = NUMBER_NOTATIONS[state.displaySettings.notation];
+  return new Intl.NumberFormat(notation.locale, notation.compact
+    ? { notation: 'compact', maximumFractionDigits: 2 }
+    : { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+// Account counts (never negative)
 function formatNumber(num) {
   if (!isFinite(num)) {
     return 'N/A';
@@ -33,46 +108,291 @@ function formatNumber(num) {
   if (num < 0) {
     num = 0;
   }
-  return new Intl.NumberFormat('zh-TW').format(Math.round(num));
+  return numberFormat(0).format(Math.round(num));
 }
 
-function parseQuarter(quarterStr) {
-  const match = quarterStr.match(/Q(\d) (\d{4})/);
-  if (!match) return null;
-  const quarter = parseInt(match[1]);
-  const year = parseInt(match[2]);
-  return { quarter, year };
+// Gaps and increments can be negative (adverse interventions), so keep the sign
+function formatSignedNumber(num) {
+  if (!isFinite(num)) {
+    return 'N/A';
+  }
+  return numberFormat(0).format(Math.round(num));
 }
 
-function generateQuarters(startQuarter, numQuarters) {
-  const parsed = parseQuarter(startQuarter);
-  if (!parsed) return [];
-  
-  const quarters = [];
-  let { quarter, year } = parsed;
-  
-  for (let i = 0; i < numQuarters; i++) {
-    quarters.push(`Q${quarter} ${year}`);
-    quarter++;
-    if (quarter > 4) {
-      quarter = 1;
-      year++;
-    }
+// Money is computed in the input currency and converted to the display currency on output
+function convertMoney(value) {
+  const { inputCurrency, currency, fxRate } = state.displaySettings;
+  return currency === inputCurrency ? value : value * fxRate;
+}
+
+// Money with the display currency's symbol and decimals; negative values keep the minus sign
+function formatMoney(value) {
+  if (!isFinite(value)) {
+    return 'N/A';
   }
-  
-  return quarters;
+  const { symbol, decimals } = CURRENCIES[state.displaySettings.currency];
+  const converted = convertMoney(value);
+  return `${converted < 0 ? '-' : ''}${symbol}${numberFormat(decimals).format(Math.abs(converted))}`;
+}
+
+// Money columns in CSV: converted, written out in full with the currency's decimals (the header names the currency)
+function csvMoney(value) {
+  return isFinite(value) ? convertMoney(value).toFixed(CURRENCIES[state.displaySettings.currency].decimals) : 'N/A';
+}
+
+function describeCurrency() {
+  const { inputCurrency, currency, fxRate } = state.displaySettings;
+  return currency === inputCurrency ? currency : `${currency} (1 ${inputCurrency} = ${fxRate} ${currency})`;
 }
 
-function getNextQuarter(periodStr) {
-  const parsed = parseQuarter(periodStr);
-  if (!parsed) return null;
-  let { quarter, year } = parsed;
-  quarter++;
-  if (quarter > 4) {
-    quarter = 1;
-    year++;
+// Escape user text (e.g. scenario names) before putting it into innerHTML
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Quote a CSV field containing commas, quotes or newlines
+function csvField(text) {
+  const value = String(text);
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// '#rrggbb' -> 'rgba(r, g, b, alpha)' for translucent fills in a scenario's colour
+function hexToRgba(hex, alpha) {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+// Period granularities: each maps period strings to consecutive integer ordinals
+// (adjacent periods differ by 1), so gap filling, forecast periods and aggregation
+// are plain ordinal arithmetic. perYear converts forecast years into periods and
+// annualizes ROI; startDate is the first day of the period and anchorDate a
+// representative date (Thursday for ISO weeks, matching ISO year assignment; the
+// start date otherwise). Detection tries them in order, quarter first so
+// the existing "Q1 2024" format keeps working.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+const MAX_HISTORY_PERIODS = 1000;
+const pad2 = (n) => String(n).padStart(2, '0');
+
+const PERIOD_GRANULARITIES = {
+  quarter: {
+    name: '季',
+    example: 'Q1 2024',
+    perYear: 4,
+    parse: (str) => {
+      let match = str.match(/^Q([1-4])\s*(\d{4})$/i);
+      if (match) return parseInt(match[2]) * 4 + parseInt(match[1]) - 1;
+      match = str.match(/^(\d{4})\s*-?\s*Q([1-4])$/i);
+      return match ? parseInt(match[1]) * 4 + parseInt(match[2]) - 1 : null;
+    },
+    format: (ordinal) => `Q${ordinal % 4 + 1} ${Math.floor(ordinal / 4)}`,
+    startDate: (ordinal) => new Date(Date.UTC(Math.floor(ordinal / 4), (ordinal % 4) * 3, 1)),
+    anchorDate: (ordinal) => new Date(Date.UTC(Math.floor(ordinal / 4), (ordinal % 4) * 3, 1)),
+    fromDate: (date) => date.getUTCFullYear() * 4 + Math.floor(date.getUTCMonth() / 3)
+  },
+  month: {
+    name: '月',
+    example: '2024-03',
+    perYear: 12,
+    parse: (str) => {
+      const match = str.match(/^(\d{4})[-/](\d{1,2})$/);
+      if (!match) return null;
+      const month = parseInt(match[2]);
+      return month >= 1 && month <= 12 ? parseInt(match[1]) * 12 + month - 1 : null;
+    },
+    format: (ordinal) => `${Math.floor(ordinal / 12)}-${pad2(ordinal % 12 + 1)}`,
+    startDate: (ordinal) => new Date(Date.UTC(Math.floor(ordinal / 12), ordinal % 12, 1)),
+    anchorDate: (ordinal) => new Date(Date.UTC(Math.floor(ordinal / 12), ordinal % 12, 1)),
+    fromDate: (date) => date.getUTCFullYear() * 12 + date.getUTCMonth()
+  },
+  week: {
+    name: '週',
+    example: '2024-W05',
+    perYear: 52,
+    // Ordinal = weeks since 1970-01-01 (a Thursday); weeks start on Monday
+    parse: (str) => {
+      const match = str.match(/^(\d{4})-?W(\d{1,2})$/i);
+      if (!match) return null;
+      const year = parseInt(match[1]);
+      const week = parseInt(match[2]);
+      // January 4th always falls in ISO week 1
+      const ordinal = Math.floor((Date.UTC(year, 0, 4) / DAY_MS + 3) / 7) + week - 1;
+      return week >= 1 && PERIOD_GRANULARITIES.week.format(ordinal) === `${year}-W${pad2(week)}` ? ordinal : null;
+    },
+    format: (ordinal) => {
+      const thursday = new Date(ordinal * 7 * DAY_MS);
+      const isoYear = thursday.getUTCFullYear();
+      const week = Math.floor((thursday - Date.UTC(isoYear, 0, 1)) / (7 * DAY_MS)) + 1;
+      return `${isoYear}-W${pad2(week)}`;
+    },
+    startDate: (ordinal) => new Date((ordinal * 7 - 3) * DAY_MS),
+    anchorDate: (ordinal) => new Date(ordinal * 7 * DAY_MS),
+    fromDate: (date) => Math.floor((Math.floor(date.getTime() / DAY_MS) + 3) / 7)
+  },
+  year: {
+    name: '年',
+    example: '2024',
+    perYear: 1,
+    parse: (str) => /^\d{4}$/.test(str) ? parseInt(str) : null,
+    format: (ordinal) => String(ordinal),
+    startDate: (ordinal) => new Date(Date.UTC(ordinal, 0, 1)),
+    anchorDate: (ordinal) => new Date(Date.UTC(ordinal, 0, 1)),
+    fromDate: (date) => date.getUTCFullYear()
   }
-  return `Q${quarter} ${year}`;
+};
+
+// First granularity that parses every period string, or null
+function detectGranularity(periods) {
+  return Object.keys(PERIOD_GRANULARITIES).find(key =>
+    periods.every(period => PERIOD_GRANULARITIES[key].parse(period) !== null)
+  ) || null;
+}
+
+// Full ISO date (YYYY-MM-DD); invalid dates such as 2024-02-30 return null
+function parseISODate(str) {
+  const match = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+  return date.getUTCMonth() === parseInt(match[2]) - 1 && date.getUTCDate() === parseInt(match[3]) ? date : null;
+}
+
+function formatISODate(date) {
+  return `${date.getUTCFullYear()}-${pad2(date.getUTCMonth() + 1)}-${pad2(date.getUTCDate())}`;
+}
+
+// Date mode: sort by date without filling gaps. The time coordinate t is the number
+// of years since the start of the grid period containing the first date, times the
+// periods per year, so the model is fitted in continuous time and integer t values
+// land exactly on forecast grid periods.
+function buildDateRows(data, gridKey) {
+  const spec = PERIOD_GRANULARITIES[gridKey];
+  const rows = data
+    .map(d => ({ ...d, date: parseISODate(d.period) }))
+    .sort((a, b) => a.date - b.date);
+  rows.forEach((row, i) => {
+    if (i > 0 && row.date.getTime() === rows[i - 1].date.getTime()) throw new Error(`日期重複: ${row.period}`);
+  });
+
+  const origin = spec.fromDate(rows[0].date);
+  const originStart = spec.startDate(origin);
+  rows.forEach(row => {
+    row.years = (row.date - originStart) / YEAR_MS;
+    row.t = row.years * spec.perYear;
+  });
+  return { rows, origin };
+}
+
+// Name of the period containing time coordinate t (t = 0 is the start of state.periodOrigin)
+function periodLabelAt(t) {
+  return PERIOD_GRANULARITIES[state.granularity].format(state.periodOrigin + Math.floor(t));
+}
+
+// Time coordinate t as a fractional calendar year (e.g. 2024.5), the x axis of date-mode charts
+function calendarYearAt(t) {
+  const spec = PERIOD_GRANULARITIES[state.granularity];
+  const originStart = spec.startDate(state.periodOrigin);
+  const year = originStart.getUTCFullYear();
+  return year + (originStart - Date.UTC(year, 0, 1)) / YEAR_MS + t / spec.perYear;
+}
+
+function calendarYearToDate(value) {
+  const year = Math.floor(value);
+  return new Date(Date.UTC(year, 0, 1) + (value - year) * YEAR_MS);
+}
+
+// First forecast period: the grid point after the period of the last observation
+// (the history length for regular periods)
+function forecastBaseOffset() {
+  return Math.floor(state.historicalData[state.historicalData.length - 1].t) + 1;
+}
+
+/**
+ * In date mode, turn a Chart.js config whose datasets are aligned with labels into
+ * a linear time axis: each dataset becomes { x, y } points with x = xs[i] (fractional
+ * calendar year). Returned unchanged for regular periods.
+ */
+function withTimeAxis(config, xs) {
+  if (!state.dateMode) return config;
+  config.data.datasets.forEach(dataset => {
+    dataset.data = dataset.data.map((y, i) => ({ x: xs[i], y }));
+  });
+  delete config.data.labels;
+  config.options.scales = config.options.scales || {};
+  config.options.scales.x = {
+    ...(config.options.scales.x || {}),
+    type: 'linear',
+    ticks: { callback: (value) => formatISODate(calendarYearToDate(value)).slice(0, 7) }
+  };
+  config.options.plugins = config.options.plugins || {};
+  config.options.plugins.tooltip = config.options.plugins.tooltip || {};
+  config.options.plugins.tooltip.callbacks = {
+    ...(config.options.plugins.tooltip.callbacks || {}),
+    title: (items) => items.length ? formatISODate(calendarYearToDate(items[0].parsed.x)) : ''
+  };
+  return config;
+}
+
+function periodUnit() {
+  return PERIOD_GRANULARITIES[state.granularity].name;
+}
+
+function periodsPerYear() {
+  return PERIOD_GRANULARITIES[state.granularity].perYear;
+}
+
+// Flow mode: accumulate per-period new (and churned) accounts into the gross
+// cumulative series (opening + new) and the net series (minus churn), and set
+// accounts to the series being fitted. A missing flow leaves every later total
+// unknown, so every period needs a value.
+function accumulateFlows(rows, opening, target) {
+  let added = 0;
+  let churned = 0;
+  rows.forEach(row => {
+    if (row.isMissing) throw new Error(`流量模式需要每一期的新增數，缺漏: ${row.period}`);
+    added += row.added;
+    churned += row.churned;
+    row.cumulativeAdded = added;
+    row.cumulativeChurned = churned;
+    row.grossAccounts = opening + added;
+    row.netAccounts = opening + added - churned;
+    if (row.netAccounts < 0) throw new Error(`淨累計帳戶數為負 (流失大於期初 + 累計新增): ${row.period}`);
+    row.accounts = target === 'gross' ? row.grossAccounts : row.netAccounts;
+  });
+}
+
+// Per-row new and churned accounts, differenced from the running totals so they
+// stay correct after aggregation to a coarser granularity
+function periodFlows(rows) {
+  return rows.map((row, i) => ({
+    added: row.cumulativeAdded - (i > 0 ? rows[i - 1].cumulativeAdded : 0),
+    churned: row.cumulativeChurned - (i > 0 ? rows[i - 1].cumulativeChurned : 0)
+  }));
+}
+
+// Name of a forecast flow: differences of the net series are net additions, of the gross series new accounts
+function flowLabel() {
+  return state.flowFitTarget === 'gross' ? '新增' : '淨增';
+}
+
+// Aggregate a cumulative series to a coarser granularity by taking the last fine
+// period of each coarse period (end-of-period stock). A missing closing value stays
+// missing for interpolation. Rows must already be gap-filled; an incomplete trailing
+// coarse period is dropped.
+function aggregatePeriods(rows, fromKey, toKey) {
+  const from = PERIOD_GRANULARITIES[fromKey];
+  const to = PERIOD_GRANULARITIES[toKey];
+  const groups = new Map();
+  rows.forEach(row => {
+    const ordinal = from.parse(row.period);
+    groups.set(to.fromDate(from.anchorDate(ordinal)), { ordinal, row });
+  });
+
+  const aggregated = [];
+  groups.forEach(({ ordinal, row }, target) => {
+    const complete = to.fromDate(from.anchorDate(ordinal + 1)) !== target;
+    if (complete) aggregated.push({ ...row, period: to.format(target) });
+  });
+  return aggregated;
 }
 
 // Safe Gompertz model functions with numerical stability
@@ -112,350 +432,1257 @@ function gompertzModel(t, K, b, t0) {
   return result;
 }
 
-function fitGompertzCurve(data) {
-  console.log('Starting Gompertz curve fitting...');
-  const n = data.length;
-  const maxAccounts = Math.max(...data);
-  const minAccounts = Math.min(...data);
-  
-  console.log('Data range:', { min: minAccounts, max: maxAccounts, points: n });
-  
-  let bestParams = null;
-  let bestError = Infinity;
-  let validFits = 0;
-  
-  // Robust grid search with validation
-  const K_steps = [1.1, 1.3, 1.5, 2.0, 2.5];
-  const b_steps = [0.05, 0.1, 0.15, 0.2, 0.3, 0.4];
-  const t0_steps = [-2, 0, n * 0.3, n * 0.5, n * 0.7, n + 2];
-  
-  for (const k_mult of K_steps) {
-    const K = maxAccounts * k_mult;
-    if (K <= maxAccounts) continue; // K must be greater than observed max
+// Logistic (symmetric S-curve)
+function logisticModel(t, K, r, t0) {
+  if (!isFinite(K) || !isFinite(r) || !isFinite(t0) || K <= 0 || r <= 0) {
+    return NaN;
+  }
+  const exponent = Math.max(-700, Math.min(700, -r * (t - t0)));
+  const result = K / (1 + Math.exp(exponent));
+  return isFinite(result) ? result : NaN;
+}
+
+// Richards (generalised logistic): ν = 1 is the logistic, ν → 0 approaches Gompertz
+function richardsModel(t, K, r, t0, nu) {
+  if (!isFinite(K) || !isFinite(r) || !isFinite(t0) || !isFinite(nu) || K <= 0 || r <= 0 || nu <= 0) {
+    return NaN;
+  }
+  const exponent = Math.max(-700, Math.min(700, -r * (t - t0)));
+  // Evaluated in log form so (1 + ν·e^x)^(-1/ν) cannot overflow
+  const logTerm = Math.log1p(nu * Math.exp(exponent));
+  const result = K * Math.exp(-logTerm / nu);
+  return isFinite(result) ? result : NaN;
+}
+
+// Bass diffusion cumulative adopters; nothing has diffused before ts
+function bassModel(t, K, p, q, ts) {
+  if (!isFinite(K) || !isFinite(p) || !isFinite(q) || !isFinite(ts) || K <= 0 || p <= 0 || q < 0) {
+    return NaN;
+  }
+  const tau = t - ts;
+  if (tau <= 0) return 0;
+  const decay = Math.exp(-Math.min(700, (p + q) * tau));
+  const result = K * (1 - decay) / (1 + (q / p) * decay);
+  return isFinite(result) ? result : NaN;
+}
+
+// Weibull CDF growth curve
+function weibullModel(t, K, lambda, k, ts) {
+  if (!isFinite(K) || !isFinite(lambda) || !isFinite(k) || !isFinite(ts) || K <= 0 || lambda <= 0 || k <= 0) {
+    return NaN;
+  }
+  const tau = t - ts;
+  if (tau <= 0) return 0;
+  const result = K * (1 - Math.exp(-Math.min(700, Math.pow(tau / lambda, k))));
+  return isFinite(result) ? result : NaN;
+}
+
+// Levenberg–Marquardt nonlinear least squares
+const LM_DEFAULTS = {
+  maxIterations: 200,
+  ftol: 1e-10,      // relative SSE change
+  xtol: 1e-8,       // relative parameter change
+  gtol: 1e-10,      // scaled gradient
+  lambda0: 1e-3,    // initial damping
+  lambdaFactor: 10, // damping up/down multiplier
+  lambdaMax: 1e12
+};
+
+const LM_STOP_REASONS = {
+  ftol: 'SSE 相對變化低於容許值',
+  xtol: '參數變化低於容許值',
+  gtol: '梯度已接近零',
+  lambda: '阻尼係數達上限，誤差無法再降低',
+  maxIterations: '達到迭代上限',
+  invalid: '初始參數產生無效數值'
+};
+
+// Gaussian elimination with partial pivoting; returns null for a singular matrix
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (!isFinite(M[pivot][col]) || Math.abs(M[pivot][col]) < 1e-300) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
     
-    for (const b of b_steps) {
-      if (b <= 0 || b > 1.0) continue; // b must be positive and reasonable
-      
-      for (const t0 of t0_steps) {
-        let error = 0;
-        let hasNaN = false;
-        
-        for (let i = 0; i < n; i++) {
-          const predicted = gompertzModel(i, K, b, t0);
-          if (!isFinite(predicted)) {
-            hasNaN = true;
-            break;
-          }
-          error += Math.pow(data[i] - predicted, 2);
-        }
-        
-        if (!hasNaN && isFinite(error) && error < bestError) {
-          bestError = error;
-          bestParams = { K, b, t0 };
-          validFits++;
-        }
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) {
+        M[row][k] -= factor * M[col][k];
       }
     }
   }
   
-  console.log('Valid fits found:', validFits);
-  
-  if (!bestParams) {
-    console.error('No valid fit found! Using fallback parameters.');
-    // Fallback: simple parameters
-    bestParams = {
-      K: maxAccounts * 1.5,
-      b: 0.2,
-      t0: n * 0.5
-    };
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+    x[row] = sum / M[row][row];
+  }
+  return x.every(v => isFinite(v)) ? x : null;
+}
+
+function computeSSE(modelFn, params, tValues, yValues, weights = null) {
+  let sse = 0;
+  for (let i = 0; i < tValues.length; i++) {
+    const w = weights ? weights[i] : 1;
+    if (w === 0) continue;
+    const predicted = modelFn(tValues[i], params);
+    if (!isFinite(predicted)) return NaN;
+    sse += w * Math.pow(yValues[i] - predicted, 2);
+  }
+  return sse;
+}
+
+// Central-difference Jacobian: J[i][j] = ∂f(t_i) / ∂p_j
+function numericJacobian(modelFn, params, tValues) {
+  const J = tValues.map(() => new Array(params.length).fill(0));
+  
+  params.forEach((p, j) => {
+    const h = 1e-6 * Math.max(Math.abs(p), 1e-3);
+    const plus = params.slice();
+    const minus = params.slice();
+    plus[j] = p + h;
+    minus[j] = p - h;
+    
+    tValues.forEach((t, i) => {
+      const d = (modelFn(t, plus) - modelFn(t, minus)) / (2 * h);
+      J[i][j] = isFinite(d) ? d : 0;
+    });
+  });
+  return J;
+}
+
+// Gaussian prior penalty scale·Σ((p_j - μ_j) / σ_j)², scale being the residual variance s²,
+// so SSE + penalty is proportional to the negative log posterior (MAP)
+function priorPenalty(params, priors, scale) {
+  if (!priors || priors.length === 0) return 0;
+  return priors.reduce((sum, prior) => sum + scale * Math.pow((params[prior.index] - prior.mean) / prior.sd, 2), 0);
+}
+
+/**
+ * Levenberg–Marquardt nonlinear least squares.
+ * modelFn(t, paramsArray) returns the model prediction; options override
+ * LM_DEFAULTS and may carry lower / upper parameter bounds (arrays), per-point weights,
+ * and priors [{ index, mean, sd }] with priorScale (the residual variance) for a MAP estimate.
+ * Returns { params, sse, iterations, converged, reason }; with priors sse includes the penalty.
+ */
+function levenbergMarquardt(modelFn, tValues, yValues, initialParams, options = {}) {
+  const opts = { ...LM_DEFAULTS, ...options };
+  const m = initialParams.length;
+  const lower = opts.lower || new Array(m).fill(-Infinity);
+  const upper = opts.upper || new Array(m).fill(Infinity);
+  const weights = opts.weights || null;
+  const priors = opts.priors || [];
+  const priorScale = opts.priorScale || 1;
+  const clampParams = (p) => p.map((v, j) => Math.min(upper[j], Math.max(lower[j], v)));
+  // Objective: weighted SSE + prior penalty (plain SSE without priors)
+  const objective = (p) => computeSSE(modelFn, p, tValues, yValues, weights) + priorPenalty(p, priors, priorScale);
+  
+  let params = clampParams(initialParams);
+  let sse = objective(params);
+  if (!isFinite(sse)) {
+    return { params, sse, iterations: 0, converged: false, reason: 'invalid' };
   }
   
-  console.log('Best initial params:', bestParams);
-  
-  // Careful refinement with bounds checking
-  const learningRate = 0.001; // Reduced for stability
-  const iterations = 50; // Fewer iterations
+  let lambda = opts.lambda0;
+  let reason = 'maxIterations';
+  let iterations = 0;
   
-  for (let iter = 0; iter < iterations; iter++) {
-    let gradK = 0, gradB = 0, gradT0 = 0;
-    let validGrads = true;
+  while (iterations < opts.maxIterations) {
+    iterations++;
+    
+    const J = numericJacobian(modelFn, params, tValues);
+    const residuals = tValues.map((t, i) => yValues[i] - modelFn(t, params));
     
-    for (let i = 0; i < n; i++) {
-      const predicted = gompertzModel(i, bestParams.K, bestParams.b, bestParams.t0);
-      if (!isFinite(predicted)) {
-        validGrads = false;
-        break;
+    // Weighted normal equations: (JᵀWJ + λ·diag(JᵀWJ)) δ = JᵀWr
+    const JtJ = Array.from({ length: m }, () => new Array(m).fill(0));
+    const Jtr = new Array(m).fill(0);
+    for (let i = 0; i < J.length; i++) {
+      const w = weights ? weights[i] : 1;
+      if (w === 0) continue;
+      for (let a = 0; a < m; a++) {
+        Jtr[a] += w * J[i][a] * residuals[i];
+        for (let c = 0; c < m; c++) {
+          JtJ[a][c] += w * J[i][a] * J[i][c];
+        }
       }
+    }
+    // Priors act as extra observations: residual √scale·(μ - p)/σ, Jacobian row √scale/σ
+    priors.forEach(prior => {
+      const precision = priorScale / (prior.sd * prior.sd);
+      JtJ[prior.index][prior.index] += precision;
+      Jtr[prior.index] += precision * (prior.mean - params[prior.index]);
+    });
+    
+    // Parameters sitting on a bound with the gradient pushing outward stay fixed this step
+    const active = params.map((p, j) =>
+      (p <= lower[j] && Jtr[j] < 0) || (p >= upper[j] && Jtr[j] > 0)
+    );
+    
+    // Gradient scaled by parameter magnitude and SSE, since K (millions) and b (fractions) differ wildly
+    const scaledGrad = Math.max(0, ...Jtr.map((g, j) => active[j] ? 0 : Math.abs(g * Math.max(Math.abs(params[j]), 1e-3)))) / Math.max(sse, 1e-300);
+    if (scaledGrad < opts.gtol) {
+      reason = 'gtol';
+      break;
+    }
+    
+    let accepted = false;
+    let candidate = null;
+    let candidateSSE = NaN;
+    
+    while (lambda <= opts.lambdaMax) {
+      const A = JtJ.map((row, a) => row.map((v, c) => {
+        if (active[a] || active[c]) return a === c ? 1 : 0;
+        return a === c ? v + lambda * Math.max(v, 1e-12) : v;
+      }));
+      const delta = solveLinearSystem(A, Jtr.map((g, j) => active[j] ? 0 : g));
       
-      const error = predicted - data[i];
-      
-      const exponent = -bestParams.b * (i - bestParams.t0);
-      if (Math.abs(exponent) > 100) continue; // Skip if too large
-      
-      const exp_inner = Math.exp(exponent);
-      const exp_outer = Math.exp(-exp_inner);
-      
-      if (!isFinite(exp_inner) || !isFinite(exp_outer)) {
-        validGrads = false;
-        break;
+      if (delta) {
+        candidate = clampParams(params.map((p, j) => p + delta[j]));
+        candidateSSE = objective(candidate);
+        if (isFinite(candidateSSE) && candidateSSE < sse) {
+          accepted = true;
+          break;
+        }
       }
-      
-      gradK += 2 * error * exp_outer;
-      gradB += 2 * error * bestParams.K * exp_outer * exp_inner * (i - bestParams.t0);
-      gradT0 += 2 * error * bestParams.K * exp_outer * exp_inner * bestParams.b;
+      lambda *= opts.lambdaFactor;
     }
     
-    if (!validGrads || !isFinite(gradK) || !isFinite(gradB) || !isFinite(gradT0)) {
-      console.warn('Invalid gradients at iteration', iter);
+    if (!accepted) {
+      reason = 'lambda';
       break;
     }
     
-    // Update with bounds checking
-    const newK = bestParams.K - learningRate * gradK / n;
-    const newB = bestParams.b - learningRate * gradB / n;
-    const newT0 = bestParams.t0 - learningRate * gradT0 / n;
+    const relStep = Math.max(...candidate.map((v, j) => Math.abs(v - params[j]) / Math.max(Math.abs(params[j]), 1e-12)));
+    const relDrop = (sse - candidateSSE) / Math.max(sse, 1e-300);
     
-    // Validate new parameters
-    if (newK > maxAccounts && newK < maxAccounts * 5 && 
-        newB > 0.01 && newB < 1.0 &&
-        isFinite(newK) && isFinite(newB) && isFinite(newT0)) {
-      bestParams.K = newK;
-      bestParams.b = newB;
-      bestParams.t0 = newT0;
-    } else {
-      console.warn('Parameter update rejected at iteration', iter);
+    params = candidate;
+    sse = candidateSSE;
+    lambda = Math.max(lambda / opts.lambdaFactor, 1e-15);
+    
+    if (relDrop < opts.ftol) {
+      reason = 'ftol';
+      break;
+    }
+    if (relStep < opts.xtol) {
+      reason = 'xtol';
       break;
     }
   }
   
-  console.log('Final fitted params:', bestParams);
-  
-  // Validate final parameters
-  if (!isFinite(bestParams.K) || !isFinite(bestParams.b) || !isFinite(bestParams.t0)) {
-    console.error('Final parameters contain NaN/Infinity!');
-    alert('擬合失敗：參數無效。請檢查數據質量。');
-    return null;
+  return {
+    params,
+    sse,
+    iterations,
+    converged: reason !== 'maxIterations' && reason !== 'invalid',
+    reason
+  };
+}
+
+function invertMatrix(A) {
+  const n = A.length;
+  const columns = [];
+  for (let j = 0; j < n; j++) {
+    const unit = new Array(n).fill(0);
+    unit[j] = 1;
+    const column = solveLinearSystem(A, unit);
+    if (!column) return null;
+    columns.push(column);
   }
-  
-  if (bestParams.K <= maxAccounts) {
-    console.warn('K is not greater than max data, adjusting...');
-    bestParams.K = maxAccounts * 1.2;
+  return A.map((_, i) => columns.map(column => column[i]));
+}
+
+// Inverse standard normal CDF (Acklam's approximation, relative error < 1.2e-9)
+function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
   }
-  
-  if (bestParams.b <= 0 || bestParams.b > 1.0) {
-    console.warn('b is out of range, clamping...');
-    bestParams.b = Math.max(0.05, Math.min(0.5, bestParams.b));
+  if (p > 1 - pLow) {
+    return -normalQuantile(1 - p);
   }
-  
-  // Calculate R-squared with validation
-  const mean = data.reduce((sum, val) => sum + val, 0) / n;
-  let ssRes = 0, ssTot = 0;
-  let hasNaNPredictions = false;
-  
-  for (let i = 0; i < n; i++) {
-    const predicted = gompertzModel(i, bestParams.K, bestParams.b, bestParams.t0);
-    if (!isFinite(predicted)) {
-      hasNaNPredictions = true;
-      console.error('NaN prediction at index', i);
-      continue;
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Inverse Student t CDF (exact for df ≤ 2, Cornish-Fisher expansion otherwise)
+function studentTQuantile(p, df) {
+  if (df === 1) return Math.tan(Math.PI * (p - 0.5));
+  if (df === 2) return (2 * p - 1) / Math.sqrt(2 * p * (1 - p));
+
+  const z = normalQuantile(p);
+  const z3 = z * z * z, z5 = z3 * z * z, z7 = z5 * z * z;
+  return z +
+    (z3 + z) / (4 * df) +
+    (5 * z5 + 16 * z3 + 3 * z) / (96 * df * df) +
+    (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * df * df * df);
+}
+
+/**
+ * Parameter covariance from the Jacobian at the optimum: Cov = s²·(JᵀWJ)⁻¹, s² = Σw·r² / (n - p),
+ * where n counts only points with non-zero weight.
+ * priorPrecision holds each parameter's prior 1/σ² (0 without a prior); then Cov = s²·(JᵀWJ + s²·P)⁻¹ (posterior approximation).
+ * bounds = { lower, upper } are the box bounds used by the fit: intervals are clipped to them and a
+ * parameter whose optimum sits on a bound is flagged atBound ('lower' / 'upper'), leaving a one-sided interval.
+ * Returns standard errors and t-based confidence intervals, or null when the
+ * degrees of freedom run out or the matrix is singular.
+ */
+function estimateParameterUncertainty(modelFn, params, tValues, sse, confidence = 0.95, weights = null, priorPrecision = null, bounds = null) {
+  const m = params.length;
+  const nUsed = weights ? weights.filter(w => w > 0).length : tValues.length;
+  const df = nUsed - m;
+  if (df <= 0 || !isFinite(sse)) return null;
+
+  const J = numericJacobian(modelFn, params, tValues);
+  const JtJ = Array.from({ length: m }, () => new Array(m).fill(0));
+  J.forEach((row, i) => {
+    const w = weights ? weights[i] : 1;
+    for (let a = 0; a < m; a++) {
+      for (let c = 0; c < m; c++) {
+        JtJ[a][c] += w * row[a] * row[c];
+      }
     }
-    ssRes += Math.pow(data[i] - predicted, 2);
-    ssTot += Math.pow(data[i] - mean, 2);
-  }
-  
-  if (hasNaNPredictions) {
-    console.error('Some predictions are NaN!');
-  }
-  
-  const r2 = ssTot > 0 ? Math.max(0, Math.min(1, 1 - (ssRes / ssTot))) : 0;
-  const rmse = Math.sqrt(ssRes / n);
-  
-  console.log('Fit quality:', { r2, rmse });
-  
-  if (!isFinite(r2) || r2 < 0 || r2 > 1) {
-    console.warn('Invalid R²:', r2);
+  });
+
+  const sigma2 = sse / df;
+  if (priorPrecision) {
+    priorPrecision.forEach((precision, j) => { JtJ[j][j] += sigma2 * precision; });
   }
-  
+
+  const inverse = invertMatrix(JtJ);
+  if (!inverse) return null;
+
+  const covariance = inverse.map(row => row.map(v => v * sigma2));
+  const tCrit = studentTQuantile(1 - (1 - confidence) / 2, df);
+  const standardErrors = covariance.map((row, j) => Math.sqrt(Math.max(0, row[j])));
+  if (!standardErrors.every(se => isFinite(se))) return null;
+
   return {
-    params: bestParams,
-    r2: isFinite(r2) ? r2 : 0,
-    rmse: isFinite(rmse) ? rmse : Infinity,
-    valid: !hasNaNPredictions && isFinite(r2)
+    covariance,
+    standardErrors,
+    intervals: params.map((p, j) => {
+      const half = tCrit * standardErrors[j];
+      return bounds
+        ? [Math.max(bounds.lower[j], p - half), Math.min(bounds.upper[j], p + half)]
+        : [p - half, p + half];
+    }),
+    atBound: params.map((p, j) => bounds ? boundSide(p, bounds.lower[j], bounds.upper[j]) : null),
+    df,
+    tCrit,
+    confidence,
+    residualVariance: sigma2
   };
 }
 
-function applyIntervention(t, baselineValue, params, interventionParams, launchQuarter) {
-  if (!isFinite(t) || !isFinite(baselineValue)) return baselineValue;
-  if (t < launchQuarter) return baselineValue;
-
-  const { K, b, t0 } = params;
-  // --- (新) 取得 peak_quarter 參數 ---
-  const { alpha, delta_t, kappa, half_life, peak_quarter } = interventionParams;
-  const tSinceLaunch = t - launchQuarter;
-  
-  // --- (新) 邏輯: 爬升 (Ramp-up) + 衰減 (Decay) ---
-  let effectFactor = 0;
-  if (tSinceLaunch < peak_quarter) {
-    // 1. 爬升期: 從 0 線性爬升到 1 (在 peak_quarter 達到 1)
-    effectFactor = (tSinceLaunch + 1) / (peak_quarter + 1);
-  } else {
-    // 2. 衰減期: 從 peak_quarter 開始，使用半衰期 H 進行指數衰減
-    const tSincePeak = tSinceLaunch - peak_quarter;
-    const decayExponent = -Math.log(2) * tSincePeak / half_life;
-    const clampedExp = Math.max(-100, Math.min(0, decayExponent));
-    effectFactor = Math.exp(clampedExp); // 在 peak_quarter 時, tSincePeak=0, effectFactor=1
+// Relative tolerance for an estimate to count as sitting on a bound (LM clamps parameters onto the bound)
+const BOUND_TOLERANCE = 1e-6;
+const BOUND_SIDE_LABELS = { lower: '下限', upper: '上限', fixed: '固定值' };
+
+// Which bound an estimate sits on: 'lower' / 'upper' / null; 'fixed' when both bounds coincide
+function boundSide(value, lower, upper) {
+  if (lower === upper) return 'fixed';
+  if (Number.isFinite(lower) && value <= lower + BOUND_TOLERANCE * Math.max(Math.abs(lower), 1)) return 'lower';
+  if (Number.isFinite(upper) && value >= upper - BOUND_TOLERANCE * Math.max(Math.abs(upper), 1)) return 'upper';
+  return null;
+}
+
+// Growth model registry. Each model declares its parameters (label / display digits),
+// evaluate(), bounds, multi-start guesses and how the intervention levers -
+// capacity multiplier, rate multiplier and time shift - map onto its parameters.
+// The capacity parameter is always K. Observations are noisy, so K may fall below the observed maximum
+// (the data or the user's constraints / priors decide); the lower bound only rules out implausible
+// solutions: at least CAPACITY_FLOOR_RATIO times the observed maximum (as the Step 2 checks).
+const CAPACITY_FLOOR_RATIO = 0.5;
+const CAPACITY_MULTIPLIERS = [1.05, 1.2, 1.5, 2.0, 3.0];
+
+const GROWTH_MODELS = {
+  gompertz: {
+    name: 'Gompertz',
+    formula: 'K·exp(-exp(-b(t-t₀)))',
+    color: '#10b981',
+    params: [
+      { key: 'K', label: 'K (承載容量)', digits: 0 },
+      { key: 'b', label: 'b (成長率)', digits: 4, time: 'rate' },
+      { key: 't0', label: 't₀ (轉折點)', digits: 2, time: 'period' }
+    ],
+    evaluate: (t, p) => gompertzModel(t, p.K, p.b, p.t0),
+    bounds: (maxValue, n) => ({
+      lower: { K: maxValue * CAPACITY_FLOOR_RATIO, b: 1e-4, t0: -10 * n },
+      upper: { K: maxValue * 20, b: 5, t0: 10 * n }
+    }),
+    startingGuesses: (data, maxValue, times) => CAPACITY_MULTIPLIERS.map(m => {
+      const K = maxValue * m;
+      const guess = linearizedStartingGuess(data, K, (y) => Math.log(-Math.log(y / K)), times);
+      return { K, b: guess.rate, t0: guess.t0 };
+    }),
+    applyLevers: (p, levers) => ({ K: p.K * levers.capacity, b: p.b * levers.rate, t0: p.t0 - levers.shift })
+  },
+  logistic: {
+    name: 'Logistic',
+    formula: 'K / (1 + exp(-r(t-t₀)))',
+    color: '#8b5cf6',
+    params: [
+      { key: 'K', label: 'K (承載容量)', digits: 0 },
+      { key: 'r', label: 'r (成長率)', digits: 4, time: 'rate' },
+      { key: 't0', label: 't₀ (轉折點)', digits: 2, time: 'period' }
+    ],
+    evaluate: (t, p) => logisticModel(t, p.K, p.r, p.t0),
+    bounds: (maxValue, n) => ({
+      lower: { K: maxValue * CAPACITY_FLOOR_RATIO, r: 1e-4, t0: -10 * n },
+      upper: { K: maxValue * 20, r: 5, t0: 10 * n }
+    }),
+    startingGuesses: (data, maxValue, times) => CAPACITY_MULTIPLIERS.map(m => {
+      const K = maxValue * m;
+      const guess = linearizedStartingGuess(data, K, (y) => Math.log(K / y - 1), times);
+      return { K, r: guess.rate, t0: guess.t0 };
+    }),
+    applyLevers: (p, levers) => ({ K: p.K * levers.capacity, r: p.r * levers.rate, t0: p.t0 - levers.shift })
+  },
+  richards: {
+    name: 'Richards',
+    formula: 'K·(1 + ν·exp(-r(t-t₀)))^(-1/ν)',
+    color: '#f59e0b',
+    params: [
+      { key: 'K', label: 'K (承載容量)', digits: 0 },
+      { key: 'r', label: 'r (成長率)', digits: 4, time: 'rate' },
+      { key: 't0', label: 't₀ (位置)', digits: 2, time: 'period' },
+      { key: 'nu', label: 'ν (形狀)', digits: 3 }
+    ],
+    evaluate: (t, p) => richardsModel(t, p.K, p.r, p.t0, p.nu),
+    bounds: (maxValue, n) => ({
+      lower: { K: maxValue * CAPACITY_FLOOR_RATIO, r: 1e-4, t0: -10 * n, nu: 0.01 },
+      upper: { K: maxValue * 20, r: 5, t0: 10 * n, nu: 10 }
+    }),
+    // ν → 0 approaches Gompertz and ν = 1 is the logistic, so start from both
+    startingGuesses: (data, maxValue, times) => [
+      ...GROWTH_MODELS.logistic.startingGuesses(data, maxValue, times).map(g => ({ K: g.K, r: g.r, t0: g.t0, nu: 1 })),
+      ...GROWTH_MODELS.gompertz.startingGuesses(data, maxValue, times).map(g => ({ K: g.K, r: g.b, t0: g.t0, nu: 0.1 }))
+    ],
+    applyLevers: (p, levers) => ({ K: p.K * levers.capacity, r: p.r * levers.rate, t0: p.t0 - levers.shift, nu: p.nu })
+  },
+  bass: {
+    name: 'Bass 擴散',
+    formula: 'K·(1 - e^(-(p+q)τ)) / (1 + (q/p)·e^(-(p+q)τ))，τ = t - t_s',
+    color: '#ec4899',
+    params: [
+      { key: 'K', label: 'K (市場潛量 m)', digits: 0 },
+      { key: 'p', label: 'p (創新係數)', digits: 4, time: 'rate' },
+      { key: 'q', label: 'q (模仿係數)', digits: 4, time: 'rate' },
+      { key: 'ts', label: 't_s (擴散起點)', digits: 2, time: 'period' }
+    ],
+    evaluate: (t, p) => bassModel(t, p.K, p.p, p.q, p.ts),
+    bounds: (maxValue, n) => ({
+      lower: { K: maxValue * CAPACITY_FLOOR_RATIO, p: 1e-5, q: 0, ts: -5 * n },
+      upper: { K: maxValue * 20, p: 1, q: 3, ts: 0 }
+    }),
+    startingGuesses: (data, maxValue) => {
+      const guesses = [];
+      [1.05, 1.5, 2.0].forEach(m => {
+        [0.2, 0.5].forEach(q => {
+          guesses.push({ K: maxValue * m, p: 0.01, q, ts: -1 });
+        });
+      });
+      return guesses;
+    },
+    applyLevers: (p, levers) => ({ K: p.K * levers.capacity, p: p.p * levers.rate, q: p.q * levers.rate, ts: p.ts - levers.shift })
+  },
+  weibull: {
+    name: 'Weibull',
+    formula: 'K·(1 - exp(-((t - t_s)/λ)^k))',
+    color: '#06b6d4',
+    params: [
+      { key: 'K', label: 'K (承載容量)', digits: 0 },
+      { key: 'lambda', label: 'λ (尺度)', digits: 3, time: 'period' },
+      { key: 'k', label: 'k (形狀)', digits: 3 },
+      { key: 'ts', label: 't_s (起點)', digits: 2, time: 'period' }
+    ],
+    evaluate: (t, p) => weibullModel(t, p.K, p.lambda, p.k, p.ts),
+    bounds: (maxValue, n) => ({
+      lower: { K: maxValue * CAPACITY_FLOOR_RATIO, lambda: 0.1, k: 0.1, ts: -5 * n },
+      upper: { K: maxValue * 20, lambda: 50 * n, k: 20, ts: 0 }
+    }),
+    startingGuesses: (data, maxValue, times) => {
+      const span = times[times.length - 1] - times[0] + 1;
+      const guesses = [];
+      [1.05, 1.5, 2.0].forEach(m => {
+        [1.5, 3].forEach(k => {
+          guesses.push({ K: maxValue * m, lambda: span * 0.5, k, ts: -1 });
+        });
+      });
+      return guesses;
+    },
+    // A faster rate shortens the scale λ
+    applyLevers: (p, levers) => ({ K: p.K * levers.capacity, lambda: p.lambda / levers.rate, k: p.k, ts: p.ts - levers.shift })
   }
-  
-  const cappedAlpha = Math.min(0.5, Math.max(0, alpha));
-  const accelerationFactor = 1 + cappedAlpha * effectFactor; // 套用效應
-  
-  // --- 2. 上限擴張 (K) ---
-  // 讓 K 和 t0 的效應也跟隨 P 和 H 的曲線
-  const cappedKappa = Math.min(0.2, Math.max(0, kappa));
-  const expansionSmoother = effectFactor;
-  const capacityFactor = 1 + cappedKappa * expansionSmoother;
-  
-  // --- 3. 拐點前移 (t0) ---
-  const cappedDeltaT = Math.min(5, Math.max(0, delta_t));
-  const shiftSmoother = effectFactor;
-  const adjustedT0_shift = cappedDeltaT * shiftSmoother;
-  
-  // --- 組合參數 ---
-  const adjustedK = K * capacityFactor;
-  const adjustedB = b * accelerationFactor;
-  const adjustedT0 = t0 - adjustedT0_shift;
+};
 
-  const result = gompertzModel(t, adjustedK, adjustedB, adjustedT0);
-  
-  // 確保介入結果不會低於基線
-  return isFinite(result) ? Math.max(baselineValue, result) : baselineValue;
+function evaluateModel(modelKey, t, params) {
+  return GROWTH_MODELS[modelKey].evaluate(t, params);
 }
 
-// Step navigation
-function goToStep(step) {
-  // Hide all step pages
-  document.querySelectorAll('.step-page').forEach(page => { // <-- 這是錯誤的邏輯 (1)
-    page.style.display = 'none';
-  });
-  
-  // Show the current step page
-  const activePage = document.getElementById(`step${step}`);
-  if (activePage) {
-    activePage.style.display = 'block';
+// Churn layer: when enabled, the growth model (with interventions) describes cumulative GROSS adds G(t)
+// and active accounts are what remains after churn. Cohorts join on the unit grid t = 0, 1, 2, …
+// (G(0) is the opening cohort, then G(k) − G(k−1) per period) and shrink by the churn rate of their age:
+// 'constant' uses one rate for every age, 'cohort' multiplies it by earlyMultiplier for the first earlyPeriods.
+const CHURN_MODES = {
+  none: { name: '不考慮流失 (帳戶只增不減)' },
+  constant: { name: '固定流失率' },
+  cohort: { name: '世代流失率 (新帳戶前幾期較高)' }
+};
+const CHURN_MAX_RATE = 0.5; // upper limit for the per-period rate estimated from the history
+const CHURN_RATE_TOLERANCE = 1e-4;
+
+// Churn rate of accounts aged `age` periods
+function churnRateAtAge(churn, age) {
+  return churn.mode === 'cohort' && age < churn.earlyPeriods ? Math.min(1, churn.rate * churn.earlyMultiplier) : churn.rate;
+}
+
+// Active accounts on the grid t = 0..last, grossAt(t) being cumulative gross adds. Cohorts past
+// earlyPeriods share one rate and collapse into a single pool, so the cost is O(last × earlyPeriods)
+function churnedGrid(grossAt, last, churn) {
+  const window = churn.mode === 'cohort' ? Math.min(churn.earlyPeriods, last + 1) : 0;
+  const survival = [1];
+  for (let age = 1; age <= window; age++) survival.push(survival[age - 1] * (1 - churnRateAtAge(churn, age - 1)));
+
+  const adds = [];
+  const active = [];
+  let previous = 0;
+  let pool = 0; // cohorts aged ≥ window
+  for (let k = 0; k <= last; k++) {
+    const gross = grossAt(k);
+    adds.push(gross - previous);
+    previous = gross;
+    pool *= 1 - churn.rate;
+    if (k >= window) pool += adds[k - window] * survival[window];
+    let young = 0;
+    for (let age = 0; age < window && age <= k; age++) young += adds[k - age] * survival[age];
+    active.push(pool + young);
   }
-  
-  // Update step indicators
-  document.querySelectorAll('.step-indicator').forEach(indicator => {
-    const indicatorStep = parseInt(indicator.getAttribute('data-step'));
-    if (indicatorStep === step) { // <-- 這是錯誤的邏輯 (2)
-      indicator.classList.add('active');
-    } else {
-      indicator.classList.remove('active');
+  return active;
+}
+
+// Linear interpolation of a grid at t (non-integer t on irregular dates)
+function interpolateGrid(grid, t) {
+  const k = Math.max(0, Math.floor(t));
+  if (k >= grid.length - 1) return grid[grid.length - 1];
+  return grid[k] + (grid[k + 1] - grid[k]) * (t - k);
+}
+
+// Cumulative accounts at times ts: the model plus interventions (launches relative to baseOffset) is
+// cumulative gross adds, converted to active accounts when a churn layer is set
+function projectPath(modelKey, params, ts, interventions = [], baseOffset = 0, churn = state.churn) {
+  const grossAt = (t) => applyInterventions(t, evaluateModel(modelKey, t, params), params, interventions, baseOffset, modelKey);
+  if (!churn) return ts.map(grossAt);
+  const grid = churnedGrid(grossAt, Math.max(0, Math.ceil(Math.max(...ts))), churn);
+  return ts.map(t => interpolateGrid(grid, t));
+}
+
+// modelFn(t, arr) for fitting with a churn layer: the active grid is built once per parameter vector.
+// LM and the numeric Jacobian evaluate point by point with alternating perturbations, so keep the last two
+function churnedModelFn(model, toObject, churn, last) {
+  const cache = new Map();
+  return (t, arr) => {
+    const key = arr.join(',');
+    let grid = cache.get(key);
+    if (!grid) {
+      const params = toObject(arr);
+      grid = churnedGrid(k => model.evaluate(k, params), last, churn);
+      if (cache.size >= 2) cache.delete(cache.keys().next().value);
+      cache.set(key, grid);
     }
-  });
+    return interpolateGrid(grid, t);
+  };
 }
 
-// Step 1: Data Input
-function loadSampleData() {
-  // Create sample data with some missing values to demonstrate the feature
-  const dataText = SAMPLE_DATA.periods.map((period, i) => {
-    // Mark Q2 2022 and Q1 2023 as missing for demonstration
-    if (i === 9 || i === 12) {
-      return `${period},-`;
+// Mean account lifetime in periods: sum of survival over all ages (geometric past the early window)
+function churnLifetime(churn) {
+  if (churn.rate <= 0) return Infinity;
+  const window = churn.mode === 'cohort' ? churn.earlyPeriods : 0;
+  let survival = 1;
+  let lifetime = 0;
+  for (let age = 0; age < window; age++) {
+    lifetime += survival;
+    survival *= 1 - churnRateAtAge(churn, age);
+  }
+  return lifetime + survival / churn.rate;
+}
+
+// Golden-section search for the minimum of a unimodal f on [lower, upper] (returns lower when it is no worse)
+function goldenSectionMinimum(f, lower, upper, tolerance) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = lower;
+  let b = upper;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  let fc = f(c);
+  let fd = f(d);
+  while (b - a > tolerance) {
+    if (fc < fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - ratio * (b - a);
+      fc = f(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + ratio * (b - a);
+      fd = f(d);
     }
-    return `${period},${SAMPLE_DATA.accounts[i]}`;
-  }).join('\n');
-  
-  document.getElementById('dataInput').value = dataText;
-  parseAndDisplayData();
+  }
+  const best = (a + b) / 2;
+  return f(lower) <= f(best) ? lower : best;
+}
+
+// Observed churn rate in flow mode: churned / (previous net cumulative × periods elapsed); null without churn records
+function observedChurnRate(rows) {
+  if (state.inputMode !== 'flow') return null;
+  const flows = periodFlows(rows);
+  let churned = 0;
+  let exposure = 0;
+  rows.forEach((row, i) => {
+    if (i === 0) return;
+    churned += flows[i].churned;
+    exposure += rows[i - 1].netAccounts * (row.t - rows[i - 1].t);
+  });
+  return churned > 0 && exposure > 0 ? Math.min(1, churned / exposure) : null;
+}
+
+// Churn layer for the fit from state.churnSettings (null without churn). Estimated rates come from the
+// flow-mode churn counts for a constant rate (source 'flow'), otherwise from the declines in the history
+// (source 'profile'): a golden-section search over the steady rate minimising the selected model's weighted SSE
+function resolveChurn(modelKey, rows, accounts, fitOptions) {
+  const { mode, fitRate, rate, earlyMultiplier, earlyPeriods } = state.churnSettings;
+  if (mode === 'none') return null;
+  const churn = { mode, rate, earlyMultiplier, earlyPeriods, source: 'manual' };
+  if (!fitRate) return churn;
+
+  const observed = mode === 'constant' ? observedChurnRate(rows) : null;
+  if (observed !== null) return { ...churn, rate: observed, source: 'flow' };
+  const sseAt = (candidate) => {
+    const fit = fitGrowthModel(modelKey, accounts, { ...fitOptions, churn: { ...churn, rate: candidate } });
+    return fit ? fit.sse : Infinity;
+  };
+  return { ...churn, rate: goldenSectionMinimum(sseAt, 0, CHURN_MAX_RATE, CHURN_RATE_TOLERANCE), source: 'profile' };
+}
+
+function formatModelParam(param, value) {
+  if (!isFinite(value)) return 'N/A';
+  return param.digits === 0 ? formatNumber(value) : value.toFixed(param.digits);
+}
+
+// Unit of the time-related parameters: the model's time coordinate t counts grid periods (date mode included,
+// t = 0 being the start of the first observation's grid period), so rates are per period and time positions
+// and scales are in periods; the same data on another granularity rescales them
+function paramTimeUnit(param) {
+  if (param.time === 'rate') return `/${periodUnit()}`;
+  if (param.time === 'period') return periodUnit();
+  return '';
+}
+
+// Parameter label with its time unit, e.g. "b (成長率) [/月]"
+function paramLabelWithUnit(param) {
+  const unit = paramTimeUnit(param);
+  return unit ? `${param.label} [${unit}]` : param.label;
+}
+
+// Starting rate and t0 for a given K via a linearisation transform(y) = -rate·t + rate·t0,
+// e.g. ln(-ln(y/K)) for Gompertz
+function linearizedStartingGuess(data, K, transform, times) {
+  const points = [];
+  data.forEach((y, i) => {
+    if (y > 0 && y < K) {
+      const z = transform(y);
+      if (isFinite(z)) points.push([times[i], z]);
+    }
+  });
+
+  if (points.length >= 2) {
+    const meanX = points.reduce((s, p) => s + p[0], 0) / points.length;
+    const meanY = points.reduce((s, p) => s + p[1], 0) / points.length;
+    let sxy = 0, sxx = 0;
+    points.forEach(([x, y]) => {
+      sxy += (x - meanX) * (y - meanY);
+      sxx += (x - meanX) * (x - meanX);
+    });
+    const rate = sxx > 0 ? -sxy / sxx : NaN;
+    if (isFinite(rate) && rate > 0) {
+      return { rate, t0: meanX + meanY / rate };
+    }
+  }
+  return { rate: 0.2, t0: (times[0] + times[times.length - 1]) / 2 };
+}
+
+// Robust losses, fitted by IRLS (iteratively reweighted least squares);
+// weight(u, c) is the weight of a standardised residual u. L1 is smoothed by a tiny
+// quadratic zone (|u| ≤ c) so the weights stay bounded as residuals approach 0
+const LOSS_FUNCTIONS = {
+  squared: { name: '平方誤差 (最小平方法)', tuning: null, weight: () => 1 },
+  huber: { name: 'Huber', tuning: 1.345, weight: (u, c) => Math.abs(u) <= c ? 1 : c / Math.abs(u) },
+  tukey: { name: 'Tukey bisquare', tuning: 4.685, weight: (u, c) => Math.abs(u) < c ? Math.pow(1 - (u / c) * (u / c), 2) : 0 },
+  absolute: { name: '絕對誤差 (L1)', tuning: 0.01, weight: (u, c) => Math.abs(u) <= c ? 1 : c / Math.abs(u) }
+};
+const ROBUST_MAX_ITERATIONS = 20;
+const ROBUST_TOLERANCE = 1e-6;
+
+// Residual scale: 1.4826·MAD (matches the standard deviation under normality), RMS when the MAD is 0
+function robustScale(residuals, weights) {
+  const used = residuals.filter((r, i) => weights[i] > 0 && isFinite(r));
+  const mad = 1.4826 * percentile(used.map(Math.abs).sort((a, b) => a - b), 50);
+  if (mad > 0) return mad;
+  const rms = Math.sqrt(used.reduce((sum, r) => sum + r * r, 0) / Math.max(used.length, 1));
+  return rms > 0 ? rms : 1;
+}
+
+// Starting from the least-squares fit, reweight by the residuals and refit until the parameters settle.
+// Returns the last LM result and the weights it used (base weight × loss weight).
+function irlsFit(modelFn, tValues, yValues, initialFit, lmOptions, baseWeights, lossFn) {
+  const m = initialFit.params.length;
+  let fit = initialFit;
+  let weights = baseWeights;
+  let iterations = 0;
+
+  while (iterations < ROBUST_MAX_ITERATIONS) {
+    iterations++;
+    const residuals = tValues.map((t, i) => yValues[i] - modelFn(t, fit.params));
+    const scale = robustScale(residuals, baseWeights);
+    const nextWeights = baseWeights.map((w, i) => w === 0 ? 0 : w * lossFn.weight(residuals[i] / scale, lossFn.tuning));
+    if (nextWeights.filter(w => w > 0).length <= m) break;
+
+    const next = levenbergMarquardt(modelFn, tValues, yValues, fit.params, { ...lmOptions, weights: nextWeights });
+    if (!isFinite(next.sse)) break;
+
+    const change = Math.max(...next.params.map((v, j) => Math.abs(v - fit.params[j]) / Math.max(Math.abs(fit.params[j]), 1e-12)));
+    fit = next;
+    weights = nextWeights;
+    if (change < ROBUST_TOLERANCE) break;
+  }
+  return { fit, weights, iterations };
+}
+
+// Turn user constraints { K: { lower, upper, mean, sd }, ... } into LM bound and prior arrays.
+// Bounds are intersected with the model's own bounds and keys the model lacks are ignored;
+// returns null when no constraint applies.
+function resolveParameterConstraints(keys, constraints, lower, upper) {
+  if (!constraints) return null;
+  let active = false;
+  const resolved = {
+    lower: lower.slice(),
+    upper: upper.slice(),
+    priors: [],
+    precision: keys.map(() => 0),
+    feasible: true
+  };
+
+  keys.forEach((key, j) => {
+    const c = constraints[key];
+    if (!c) return;
+    if (Number.isFinite(c.lower)) {
+      resolved.lower[j] = Math.max(lower[j], c.lower);
+      active = true;
+    }
+    if (Number.isFinite(c.upper)) {
+      resolved.upper[j] = Math.min(upper[j], c.upper);
+      active = true;
+    }
+    if (Number.isFinite(c.mean) && c.sd > 0) {
+      resolved.priors.push({ index: j, mean: c.mean, sd: c.sd });
+      resolved.precision[j] = 1 / (c.sd * c.sd);
+      active = true;
+    }
+    if (resolved.lower[j] > resolved.upper[j]) resolved.feasible = false;
+    // Equal bounds = fixed parameter: a tiny prior SD drives its SE towards 0 (the others get conditional intervals)
+    if (resolved.lower[j] === resolved.upper[j]) {
+      const sd = 1e-6 * Math.max(Math.abs(resolved.lower[j]), 1e-3);
+      resolved.precision[j] = 1 / (sd * sd);
+    }
+  });
+  return active ? resolved : null;
+}
+
+// Multi-start LM fit of one registry model.
+// options.startParams: single fixed starting point (e.g. bootstrap refits reuse the original fit);
+// options.loss: LOSS_FUNCTIONS key; options.weights: per-point base weights (0 = excluded from the fit);
+// options.times: per-point time coordinates (defaults to the index);
+// options.constraints: parameter constraints (see resolveParameterConstraints). The fit runs unconstrained first,
+// then as a MAP estimate with that fit's residual variance as the prior scale; constraintImpact records the shift;
+// options.churn: churn layer (see resolveChurn), the parameters then describe gross adds fitted to active accounts
+function fitGrowthModel(modelKey, data, options = {}) {
+  const model = GROWTH_MODELS[modelKey];
+  const keys = model.params.map(p => p.key);
+  const n = data.length;
+  const loss = options.loss || 'squared';
+  const baseWeights = options.weights || data.map(() => 1);
+  const nIncluded = baseWeights.filter(w => w > 0).length;
+  if (nIncluded <= keys.length) return null;
+  // Capacity lower bound from the included points only (excluded or post-launch points may sit above the baseline)
+  const maxAccounts = Math.max(...data.filter((_, i) => baseWeights[i] > 0));
+  const tValues = options.times || data.map((_, i) => i);
+  const toObject = (arr) => Object.fromEntries(keys.map((key, j) => [key, arr[j]]));
+  const modelFn = options.churn
+    ? churnedModelFn(model, toObject, options.churn, Math.max(0, Math.ceil(Math.max(...tValues))))
+    : (t, arr) => model.evaluate(t, toObject(arr));
+  // Time bounds scale with the time span covered (can exceed the point count for irregular sampling)
+  const bounds = model.bounds(maxAccounts, Math.max(n, tValues[tValues.length - 1] - tValues[0] + 1));
+  const baseOptions = {
+    lower: keys.map(key => bounds.lower[key]),
+    upper: keys.map(key => bounds.upper[key]),
+    weights: baseWeights
+  };
+
+  // Multi-start (weighted least squares) keeping the lowest objective; robust losses then run IRLS from that fit
+  const runFit = (lmOptions, starts) => {
+    let best = null;
+    starts.forEach(guess => {
+      const fit = levenbergMarquardt(modelFn, tValues, data, guess, lmOptions);
+      if (isFinite(fit.sse) && (!best || fit.sse < best.sse)) {
+        best = fit;
+      }
+    });
+    if (!best) return null;
+    return loss === 'squared'
+      ? { fit: best, weights: baseWeights, iterations: 0 }
+      : irlsFit(modelFn, tValues, data, best, lmOptions, baseWeights, LOSS_FUNCTIONS[loss]);
+  };
+  const dataSSE = (result) => computeSSE(modelFn, result.fit.params, tValues, data, result.weights);
+  const estimateFor = (result, precision, limits) => estimateParameterUncertainty(
+    modelFn, result.fit.params, tValues, dataSSE(result), 0.95, result.weights, precision, limits
+  );
+
+  const guesses = options.startParams ? [options.startParams] : model.startingGuesses(data, maxAccounts, tValues);
+  const starts = guesses.map(guess => keys.map(key => guess[key]));
+  const unconstrained = runFit(baseOptions, starts);
+  if (!unconstrained) return null;
+
+  let robust = unconstrained;
+  let constraintImpact = null;
+  const constraint = resolveParameterConstraints(keys, options.constraints, baseOptions.lower, baseOptions.upper);
+  if (constraint) {
+    if (!constraint.feasible) return null;
+    // Prior scale = residual variance s² of the unconstrained fit, so priors and data weigh in the same units
+    const nEffFree = unconstrained.weights.filter(w => w > 0).length;
+    const priorScale = dataSSE(unconstrained) / Math.max(nEffFree - keys.length, 1);
+    robust = runFit({
+      ...baseOptions,
+      lower: constraint.lower,
+      upper: constraint.upper,
+      priors: constraint.priors,
+      priorScale
+    }, [unconstrained.fit.params, ...starts]);
+    if (!robust) return null;
+
+    const freeEstimate = estimateFor(unconstrained, null, baseOptions);
+    constraintImpact = { unconstrained: toObject(unconstrained.fit.params) };
+    keys.forEach((key, j) => {
+      const before = unconstrained.fit.params[j];
+      const after = robust.fit.params[j];
+      const se = freeEstimate ? freeEstimate.standardErrors[j] : NaN;
+      constraintImpact[key] = {
+        delta: after - before,
+        relative: before !== 0 ? (after - before) / Math.abs(before) : NaN,
+        seUnits: se > 0 ? (after - before) / se : NaN,
+        atBound: boundSide(after, constraint.lower[j], constraint.upper[j])
+      };
+    });
+  }
+  const finalFit = robust.fit;
+
+  const bestParams = toObject(finalFit.params);
+  // R² and RMSE use unweighted residuals over the included (non-zero weight) points
+  const includedData = data.filter((_, i) => baseWeights[i] > 0);
+  const mean = includedData.reduce((sum, val) => sum + val, 0) / nIncluded;
+  const ssTot = includedData.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0);
+  const rawSSE = data.reduce((sum, y, i) => baseWeights[i] > 0 ? sum + Math.pow(y - modelFn(tValues[i], finalFit.params), 2) : sum, 0);
+  const r2 = ssTot > 0 ? Math.max(0, Math.min(1, 1 - (rawSSE / ssTot))) : 0;
+  const rmse = Math.sqrt(rawSSE / nIncluded);
+  // Uncertainty uses the data part of the weighted SSE (without the prior penalty);
+  // intervals are clipped to the bounds actually used, user constraints included
+  const sse = dataSSE(robust);
+  const estimate = estimateFor(robust, constraint ? constraint.precision : null, constraint || baseOptions);
+
+  // Information criteria under Gaussian errors; k counts the error variance. IRLS weights depend on each model's
+  // residuals (and so does the number of points weighted down to 0), so the SSE always uses the base weights
+  // (recency × outlier weight, identical across models) over all included points: every model is compared on the same n and scale
+  const k = keys.length + 1;
+  const icSSE = computeSSE(modelFn, finalFit.params, tValues, data, baseWeights);
+  const logLikTerm = nIncluded * Math.log(Math.max(icSSE / nIncluded, 1e-300));
+
+  let uncertainty = null;
+  if (estimate) {
+    // Covariance (in model.params order) and s² give the post-launch calibration its counterfactual interval
+    uncertainty = { df: estimate.df, confidence: estimate.confidence, covariance: estimate.covariance, residualVariance: estimate.residualVariance };
+    keys.forEach((key, j) => {
+      uncertainty[key] = {
+        se: estimate.standardErrors[j],
+        lower: estimate.intervals[j][0],
+        upper: estimate.intervals[j][1],
+        atBound: estimate.atBound[j]
+      };
+    });
+  }
+
+  return {
+    model: modelKey,
+    params: bestParams,
+    r2: isFinite(r2) ? r2 : 0,
+    rmse: isFinite(rmse) ? rmse : Infinity,
+    sse,
+    aic: logLikTerm + 2 * k,
+    bic: logLikTerm + k * Math.log(nIncluded),
+    valid: isFinite(r2) && finalFit.converged,
+    uncertainty,
+    constraintImpact,
+    loss,
+    weights: robust.weights,
+    convergence: {
+      iterations: finalFit.iterations,
+      robustIterations: robust.iterations,
+      sse,
+      converged: finalFit.converged,
+      reason: finalFit.reason,
+      reasonText: LM_STOP_REASONS[finalFit.reason]
+    }
+  };
+}
+
+function fitGompertzCurve(data, options = {}) {
+  return fitGrowthModel('gompertz', data, options);
+}
+
+// Fit every registry model; failed fits are null
+function fitAllGrowthModels(data, options = {}) {
+  const fits = {};
+  Object.keys(GROWTH_MODELS).forEach(modelKey => {
+    fits[modelKey] = fitGrowthModel(modelKey, data, options);
+  });
+  return fits;
+}
+
+// Successful fits ordered by AIC / BIC / RMSE, best first; fits with a parameter on a fit bound (boundary
+// solutions, whose criterion reflects the bound) are ranked separately after the interior ones
+function rankModelFits(fits, criterion) {
+  const onBound = (fit) => describeBoundActiveParams(fit.model, fit.uncertainty) ? 1 : 0;
+  return Object.values(fits)
+    .filter(fit => fit && isFinite(fit[criterion]))
+    .sort((a, b) => onBound(a) - onBound(b) || a[criterion] - b[criterion]);
+}
+
+// Intervention effect shapes: evaluate(tau, p) is the effect strength (0-1) tau periods after
+// launch; each lever (alpha / delta_t / kappa) picks its own shape. params are the shape's own
+// sliders (same definition as SCENARIO_SLIDERS, plus a default value). Parameters marked periods are
+// period counts whose slider range and default are given in quarters (see scaledShapeParam); the
+// preview length is in quarters as well
+const EFFECT_PREVIEW_QUARTERS = 24;
+const easeIn = (tau, periods) => 0.5 * (1 - Math.cos(Math.PI * tau / periods));
+const halfLifeDecay = (tau, halfLife) => Math.exp(Math.max(-100, Math.min(0, -Math.log(2) * tau / halfLife)));
+
+const EFFECT_SHAPES = {
+  linear: {
+    name: '線性爬升後衰減',
+    params: [
+      { key: 'peak_quarter', label: 'P (效應高峰)', unit: ' 期後', min: 1, max: 16, step: 1, default: 4, periods: true },
+      { key: 'half_life', label: 'H (加速半衰期)', unit: ' 期', min: 2, max: 24, step: 1, default: 8, periods: true }
+    ],
+    // Linear ramp reaching 1 at peak_quarter, then half-life decay
+    evaluate: (tau, p) => tau < p.peak_quarter ? (tau + 1) / (p.peak_quarter + 1) : halfLifeDecay(tau - p.peak_quarter, p.half_life)
+  },
+  ease_decay: {
+    name: '緩入後衰減',
+    params: [
+      { key: 'peak_quarter', label: 'P (效應高峰)', unit: ' 期後', min: 1, max: 16, step: 1, default: 4, periods: true },
+      { key: 'half_life', label: 'H (加速半衰期)', unit: ' 期', min: 2, max: 24, step: 1, default: 8, periods: true }
+    ],
+    evaluate: (tau, p) => tau < p.peak_quarter ? easeIn(tau, p.peak_quarter) : halfLifeDecay(tau - p.peak_quarter, p.half_life)
+  },
+  step: {
+    name: '階梯 (立即生效)',
+    params: [
+      { key: 'duration', label: 'D (持續期數)', unit: ' 期', min: 1, max: 40, step: 1, default: 8, periods: true }
+    ],
+    evaluate: (tau, p) => tau < p.duration ? 1 : 0
+  },
+  logistic: {
+    name: 'S 型爬升 (Logistic)',
+    params: [
+      { key: 'midpoint', label: 'M (爬升中點)', unit: ' 期後', min: 1, max: 16, step: 1, default: 4, periods: true },
+      { key: 'steepness', label: 's (爬升寬度)', unit: ' 期', min: 0.25, max: 4, step: 0.25, default: 1, periods: true }
+    ],
+    evaluate: (tau, p) => 1 / (1 + Math.exp(-(tau - p.midpoint) / p.steepness))
+  },
+  adstock: {
+    name: 'Gamma 遞延 (adstock)',
+    params: [
+      { key: 'gamma_shape', label: 'k (形狀)', unit: '', min: 1, max: 5, step: 0.5, default: 2 },
+      { key: 'gamma_scale', label: 'θ (尺度)', unit: ' 期', min: 0.5, max: 12, step: 0.5, default: 3, periods: true }
+    ],
+    // Gamma density normalised to a peak of 1; k = 1 is plain geometric carry-over
+    evaluate: (tau, p) => {
+      const mode = (p.gamma_shape - 1) * p.gamma_scale;
+      if (mode === 0) return Math.exp(-tau / p.gamma_scale);
+      if (tau <= 0) return 0;
+      return Math.pow(tau / mode, p.gamma_shape - 1) * Math.exp(-(tau - mode) / p.gamma_scale);
+    }
+  },
+  permanent: {
+    name: '永久 (不衰減)',
+    params: [
+      { key: 'ramp', label: 'R (緩入期數)', unit: ' 期', min: 0, max: 16, step: 1, default: 4, periods: true }
+    ],
+    evaluate: (tau, p) => tau < p.ramp ? easeIn(tau, p.ramp) : 1
+  },
+  piecewise: {
+    name: '自訂折線',
+    params: [
+      { key: 'points', label: '各期強度 (0–1，逗號分隔，之後維持最後一值；可點擊預覽圖繪製)', type: 'points', default: [0, 0.5, 1, 1, 0.75, 0.5, 0.25, 0], periods: true }
+    ],
+    // Linear interpolation between per-period points, holding the last one
+    evaluate: (tau, p) => {
+      const points = p.points;
+      if (tau >= points.length - 1) return points[points.length - 1];
+      const lower = Math.floor(tau);
+      return points[lower] + (points[lower + 1] - points[lower]) * (tau - lower);
+    }
+  }
+};
+
+// Effect strength (0-1) of one lever tSinceLaunch periods after launch; effect is { shape, params }
+function interventionEffect(tSinceLaunch, effect) {
+  return EFFECT_SHAPES[effect.shape].evaluate(tSinceLaunch, effect.params);
+}
+
+// Combine the interventions active at t into model levers: rate (b) acceleration factors
+// multiply, K expansion fractions add up and inflection shifts add up.
+// Each intervention launches at baseOffset + launch, on the forecast time axis
+function combineInterventionLevers(t, interventions, baseOffset) {
+  const levers = { capacity: 1, rate: 1, shift: 0 };
+  
+  interventions.forEach(intervention => {
+    const launchQuarter = baseOffset + intervention.launch;
+    if (t < launchQuarter) return;
+    
+    // Parameters were already bounded per scenario by boundedInterventions and may be negative
+    const { alpha, delta_t, kappa } = intervention.params;
+    const tSinceLaunch = t - launchQuarter;
+    
+    levers.rate *= 1 + alpha * interventionEffect(tSinceLaunch, intervention.effects.alpha); // 套用效應
+    
+    // --- 2. 上限擴張 (K) ---
+    // 每個槓桿依各自的效應形狀縮放
+    levers.capacity += kappa * interventionEffect(tSinceLaunch, intervention.effects.kappa);
+    
+    // --- 3. 拐點前移 (t0) ---
+    levers.shift += delta_t * interventionEffect(tSinceLaunch, intervention.effects.delta_t);
+  });
+  
+  levers.capacity = Math.max(MIN_CAPACITY_FACTOR, levers.capacity);
+  return levers;
+}
+
+function applyInterventions(t, baselineValue, params, interventions, baseOffset, modelKey = state.selectedModel) {
+  if (!isFinite(t) || !isFinite(baselineValue)) return baselineValue;
+  if (!interventions.some(intervention => t >= baseOffset + intervention.launch)) return baselineValue;
+
+  // --- 組合參數 (the model maps the levers onto its own parameters) ---
+  const model = GROWTH_MODELS[modelKey];
+  const adjustedParams = model.applyLevers(params, combineInterventionLevers(t, interventions, baseOffset));
+
+  const result = model.evaluate(t, adjustedParams);
+  
+  // 確保介入結果不會低於基線
+  // Adverse interventions may take the scenario below the baseline
+  return isFinite(result) ? result : baselineValue;
+}
+
+// Attribution: add the interventions one at a time in launch order; each one's contribution is
+// the cumulative difference it adds, so the contributions sum to the scenario's gap to the baseline
+function attributeInterventions(modelKey, params, baseOffset, numQuarters, interventions) {
+  const ordered = [...interventions].sort((a, b) => a.launch - b.launch);
+  const ts = Array.from({ length: numQuarters }, (_, i) => baseOffset + i);
+  let previous = projectPath(modelKey, params, ts, [], baseOffset);
+  
+  return ordered.map((intervention, k) => {
+    const values = projectPath(modelKey, params, ts, ordered.slice(0, k + 1), baseOffset);
+    const contribution = { id: intervention.id, name: intervention.name, values: values.map((v, i) => v - previous[i]) };
+    previous = values;
+    return contribution;
+  });
+}
+
+// Step navigation
+function goToStep(step) {
+  // Hide all step pages
+  document.querySelectorAll('.step-page').forEach(page => { // <-- 這是錯誤的邏輯 (1)
+    page.style.display = 'none';
+  });
+  
+  // Show the current step page
+  const activePage = document.getElementById(`step${step}`);
+  if (activePage) {
+    activePage.style.display = 'block';
+  }
+  
+  // Update step indicators
+  document.querySelectorAll('.step-indicator').forEach(indicator => {
+    const indicatorStep = parseInt(indicator.getAttribute('data-step'));
+    if (indicatorStep === step) { // <-- 這是錯誤的邏輯 (2)
+      indicator.classList.add('active');
+    } else {
+      indicator.classList.remove('active');
+    }
+  });
+}
+
+// Step 1: Data Input
+function loadSampleData() {
+  // Create sample data with some missing values to demonstrate the feature
+  const dataText = SAMPLE_DATA.periods.map((period, i) => {
+    // Mark Q2 2022 and Q1 2023 as missing for demonstration
+    if (i === 9 || i === 12) {
+      return `${period},-`;
+    }
+    return `${period},${SAMPLE_DATA.accounts[i]}`;
+  }).join('\n');
+  
+  document.getElementById('dataInput').value = dataText;
+  document.getElementById('inputMode').value = 'stock';
+  parseAndDisplayData();
 }
 
 // 修正後的 parseAndDisplayData 函式
 function parseAndDisplayData() {
   const dataInput = document.getElementById('dataInput').value;
-  const lines = dataInput.trim().split('\n');
+  // Comma- or tab-separated (pasted from Excel); fields may be quoted, e.g. "28,988" with a thousands separator
+  const rows = parseDelimitedText(dataInput, detectDelimiter(dataInput));
   
   const data = [];
   const errorEl = document.getElementById('dataError');
+  const flowMode = document.getElementById('inputMode').value === 'flow';
+  const flowFitTarget = document.getElementById('flowFitTarget').value === 'gross' ? 'gross' : 'net';
+  const openingAccounts = parseFloat(document.getElementById('openingAccounts').value) || 0;
   
   try {
-    for (const line of lines) {
-      if (!line.trim()) continue;
-      
-      const parts = line.split(',');
-      if (parts.length !== 2) {
-        throw new Error('每行必須包含兩個值: 期間,帳戶數');
+    for (const parts of rows) {
+      if (flowMode ? parts.length < 2 || parts.length > 3 : parts.length !== 2) {
+        throw new Error(flowMode ? '流量模式每行須為: 期間,新增[,流失]' : '每行必須包含兩個值: 期間,帳戶數');
       }
       
-      const period = parts[0].trim();
+      const period = normalizeFullWidth(parts[0]).trim();
       const accountsStr = parts[1].trim();
       
-      // --- FIX 1: 修正缺漏值判斷邏輯 ---
       let accounts = null;
       let isMissing = false;
       
-      // 明確的缺漏標記 (包含 'x')
-      if (accountsStr === '' || accountsStr === '-' || accountsStr.toLowerCase() === 'null' || accountsStr.toLowerCase() === 'na' || accountsStr.toLowerCase() === 'x') {
+      // Missing-value markers (including 'x') and unrecognised text are both treated as missing
+      const parsed = parseImportedNumber(accountsStr);
+      if (parsed === null || isNaN(parsed)) {
         isMissing = true;
+      } else if (parsed < 0) {
+        // Negative counts are invalid data
+        throw new Error(`帳戶數不能為負數: ${accountsStr}`);
       } else {
-        accounts = parseFloat(accountsStr);
-        if (isNaN(accounts)) {
-          // 如果不是數字 (例如 'X' 或其他文字)，也視為缺漏
-          accounts = null;
-          isMissing = true;
-        } else if (accounts < 0) {
-          // 負數是無效數據，拋出錯誤
-          throw new Error(`帳戶數不能為負數: ${accountsStr}`);
-        }
+        accounts = parsed;
       }
-      // --- END OF FIX 1 ---
       
-      data.push({ period, accounts, isMissing, dataType: isMissing ? 'Missing' : 'Original' });
+      if (flowMode) {
+        // Flow mode: column 2 is new accounts, optional column 3 churned accounts;
+        // the cumulative series is built after sorting and gap filling
+        const churned = parts.length === 3 ? parseImportedNumber(parts[2]) : null;
+        if (churned !== null && !(churned >= 0)) throw new Error(`流失數必須為非負數: ${parts[2].trim()}`);
+        data.push({ period, accounts: null, added: accounts, churned: churned === null ? 0 : churned, isMissing, dataType: isMissing ? 'Missing' : 'Original' });
+      } else {
+        data.push({ period, accounts, isMissing, dataType: isMissing ? 'Missing' : 'Original' });
+      }
     }
     
     // --- FIX 2: 填補時間序列間隙 ---
-    if (data.length < 2) {
-      if (data.length === 0) throw new Error('請輸入數據');
-      state.historicalData = data; // 只有一個點，無法檢查間隙
+    if (data.length === 0) throw new Error('請輸入數據');
+    const gridKey = document.getElementById('dateGrid').value;
+    if (data.every(d => parseISODate(d.period)) && PERIOD_GRANULARITIES[gridKey]) {
+      // Date mode: irregular sampling keeps the original dates, fits in continuous
+      // time and forecasts on the chosen grid
+      const { rows, origin } = buildDateRows(data, gridKey);
+      if (flowMode) accumulateFlows(rows, openingAccounts, flowFitTarget);
+      state.dateMode = true;
+      state.granularity = gridKey;
+      state.periodOrigin = origin;
+      state.historicalData = rows;
+      displayDateModeInfo(rows);
     } else {
-      const filledData = [];
-      // 使用 Map 方便快速查找
-      const dataMap = new Map(data.map(d => [d.period, d]));
-      
-      let currentPeriod = data[0].period;
-      const lastPeriod = data[data.length - 1].period;
-      
-      filledData.push(data[0]); // 加入第一個點
-      
-      let safetyBreak = 0; // 防止無限迴圈 (50年*4季=200)
-      while (currentPeriod !== lastPeriod && safetyBreak < 200) {
-          const nextPeriod = getNextQuarter(currentPeriod);
-          if (!nextPeriod) {
-            console.error('無法從 ' + currentPeriod + ' 解析下一個季度');
-            break; 
-          }
-          
-          if (dataMap.has(nextPeriod)) {
-              // 數據中存在這一季，加入
-              filledData.push(dataMap.get(nextPeriod));
-          } else {
-              // 數據中不存在，此為時間間隙，補上缺漏值
-              filledData.push({
-                  period: nextPeriod,
-                  accounts: null,
-                  isMissing: true,
-                  dataType: 'Missing (Gap)'
-              });
-          }
-          currentPeriod = nextPeriod;
-          safetyBreak++;
+      // Detect the granularity (quarter / month / ISO week / year) from the period
+      // format, sort by ordinal and fill the gaps
+      const granularity = detectGranularity(data.map(d => d.period));
+      if (!granularity) {
+        const formats = Object.values(PERIOD_GRANULARITIES).map(spec => `${spec.example} (${spec.name})`).join('、');
+        throw new Error(`無法辨識期間格式，所有期間須使用同一種格式: ${formats}，或完整日期 2024-03-15`);
+      }
+      const spec = PERIOD_GRANULARITIES[granularity];
+      const rowsByOrdinal = new Map();
+      data.forEach(d => {
+        const ordinal = spec.parse(d.period);
+        if (rowsByOrdinal.has(ordinal)) throw new Error(`期間重複: ${d.period}`);
+        rowsByOrdinal.set(ordinal, { ...d, period: spec.format(ordinal) });
+      });
+      const ordinals = [...rowsByOrdinal.keys()].sort((a, b) => a - b);
+      const first = ordinals[0];
+      const last = ordinals[ordinals.length - 1];
+      if (last - first + 1 > MAX_HISTORY_PERIODS) {
+        throw new Error(`期間跨度過長 (${last - first + 1} 期)，上限為 ${MAX_HISTORY_PERIODS} 期`);
+      }
+
+      let filledData = [];
+      for (let ordinal = first; ordinal <= last; ordinal++) {
+        // Periods absent from the input are gaps
+        filledData.push(rowsByOrdinal.get(ordinal) || {
+          period: spec.format(ordinal),
+          accounts: null,
+          isMissing: true,
+          dataType: 'Missing (Gap)'
+        });
       }
+
+      // Flows are accumulated before aggregation (which keeps end-of-period totals)
+      if (flowMode) accumulateFlows(filledData, openingAccounts, flowFitTarget);
+
+      // Optional aggregation, only when the target is coarser than the input
+      const aggregateTo = document.getElementById('aggregateTo').value;
+      const aggregated = PERIOD_GRANULARITIES[aggregateTo] && PERIOD_GRANULARITIES[aggregateTo].perYear < spec.perYear;
+      if (aggregated) {
+        filledData = aggregatePeriods(filledData, granularity, aggregateTo);
+      }
+      // Regular periods use the index as the time coordinate
+      filledData.forEach((row, i) => { row.t = i; });
+      state.dateMode = false;
+      state.granularity = aggregated ? aggregateTo : granularity;
+      state.periodOrigin = PERIOD_GRANULARITIES[state.granularity].parse(filledData[0].period);
       state.historicalData = filledData;
+      displayGranularityInfo(granularity, aggregated ? aggregateTo : null);
     }
+    state.inputMode = flowMode ? 'flow' : 'stock';
+    state.flowFitTarget = flowFitTarget;
+    syncScenarioTiming();
     // --- END OF FIX 2 ---
 
     if (state.historicalData.length < 8) {
-      throw new Error('總數據點（包含填補的間隙）少於 8 個');
+      throw new Error(`總數據點（包含填補的間隙）少於 8 個 (目前 ${state.historicalData.length} 期)`);
     }
     
     // state.historicalData = data; // <-- 舊的程式碼
@@ -470,7 +1697,29 @@ function parseAndDisplayData() {
   } catch (error) {
     errorEl.textContent = `錯誤: ${error.message}`;
     errorEl.style.display = 'block';
+    document.getElementById('granularityInfo').style.display = 'none';
+  }
+}
+
+function displayGranularityInfo(detected, aggregatedTo) {
+  const infoEl = document.getElementById('granularityInfo');
+  const spec = PERIOD_GRANULARITIES[detected];
+  let text = `期間粒度: ${spec.name} (每年 ${spec.perYear} 期)`;
+  if (aggregatedTo) {
+    text += `，已彙總為${PERIOD_GRANULARITIES[aggregatedTo].name} (取每${PERIOD_GRANULARITIES[aggregatedTo].name}最後一期的值，結尾不完整的期間捨棄)`;
   }
+  infoEl.textContent = text;
+  infoEl.style.display = 'block';
+}
+
+function displayDateModeInfo(rows) {
+  const infoEl = document.getElementById('granularityInfo');
+  const spacing = rows.slice(1).map((row, i) => (row.date - rows[i].date) / DAY_MS);
+  const spacingText = spacing.length > 0 ? `，間隔 ${Math.min(...spacing)}–${Math.max(...spacing)} 天` : '';
+  infoEl.textContent = `日期模式: ${rows.length} 筆觀測 (${rows[0].period} 至 ${rows[rows.length - 1].period}${spacingText})，` +
+    `以連續時間擬合；預測網格為${periodUnit()} (每年 ${periodsPerYear()} 期)。模型的時間單位為 1 ${periodUnit()} (t = 0 為 ${rows[0].period} 所在${periodUnit()}的起點)，` +
+    `成長率為每${periodUnit()}、t₀ 等時間參數以${periodUnit()}計，改變預測網格時會依比例改變`;
+  infoEl.style.display = 'block';
 }
 
 // Data Quality Analysis
@@ -488,13 +1737,13 @@ function analyzeDataQuality() {
       type: 'success',
       icon: '✓',
       title: '數據完整性: 優異',
-      description: `所有 ${data.length} 個季度的數據都存在`
+      description: `所有 ${data.length} 期的數據都存在`
     });
   } else if (missingCount <= 2) {
     issues.push({
       type: 'warning',
       icon: '⚠️',
-      title: `警告: ${missingCount} 個季度缺漏`,
+      title: `警告: ${missingCount} 期缺漏`,
       description: '建議使用插值方法填補缺漏值'
     });
     score -= 10 * missingCount;
@@ -502,7 +1751,7 @@ function analyzeDataQuality() {
     issues.push({
       type: 'warning',
       icon: '⚠️',
-      title: `警告: ${missingCount} 個季度缺漏 (${missingPercent.toFixed(1)}%)`,
+      title: `警告: ${missingCount} 期缺漏 (${missingPercent.toFixed(1)}%)`,
       description: '缺漏較多，建議使用 Gompertz 插值並驗證結果'
     });
     score -= 30;
@@ -510,7 +1759,7 @@ function analyzeDataQuality() {
     issues.push({
       type: 'error',
       icon: '❌',
-      title: `嚴重: ${missingCount} 個季度缺漏 (${missingPercent.toFixed(1)}%)`,
+      title: `嚴重: ${missingCount} 期缺漏 (${missingPercent.toFixed(1)}%)`,
       description: '數據缺漏過多，可能影響模型可靠性。建議嘗試獲取實際數據。'
     });
     score -= 50;
@@ -525,6 +1774,8 @@ function analyzeDataQuality() {
     
     let outlierCount = 0;
     validData.forEach((d, i) => {
+      // Values the user has confirmed are no longer flagged
+      if (d.dataType === 'Confirmed') return;
       const zScore = Math.abs((d.accounts - mean) / stdDev);
       if (zScore > 2) {
         d.isOutlier = true;
@@ -550,12 +1801,20 @@ function analyzeDataQuality() {
     return d.accounts < prev.accounts;
   }).length;
   
-  if (nonMonotonicCount > 0) {
+  // With the churn layer on, declines are explained by the churn rate rather than treated as a data problem
+  if (nonMonotonicCount > 0 && state.churnSettings.mode !== 'none') {
+    issues.push({
+      type: 'success',
+      icon: '✓',
+      title: `檢測到 ${nonMonotonicCount} 期負增長`,
+      description: '已啟用流失層，活躍帳戶的下降以流失率擬合'
+    });
+  } else if (nonMonotonicCount > 0) {
     issues.push({
       type: 'warning',
       icon: '⚠️',
-      title: `檢測到 ${nonMonotonicCount} 個負增長季度`,
-      description: 'Gompertz 模型假設單調增長，負增長可能影響擬合品質'
+      title: `檢測到 ${nonMonotonicCount} 期負增長`,
+      description: '成長模型假設帳戶只增不減；若下降來自帳戶流失，可在步驟 2 啟用流失層並由這些下降估計流失率'
     });
     score -= 5 * nonMonotonicCount;
   }
@@ -679,6 +1938,7 @@ function displayDataQualityReport() {
 function displayDataPreview(data) {
   const tbody = document.querySelector('#dataPreviewTable tbody');
   tbody.innerHTML = '';
+  const flows = state.inputMode === 'flow' ? periodFlows(data) : null;
   
   data.forEach((row, index) => {
     const tr = document.createElement('tr');
@@ -707,7 +1967,11 @@ function displayDataPreview(data) {
       actions = '<button class="btn btn--sm btn--outline" onclick="confirmCell(' + index + ')">確認無誤</button>';
     }
     
-    const valueDisplay = row.isMissing ? '<em style="color: var(--color-text-secondary);">缺漏</em>' : formatNumber(row.accounts);
+    let valueDisplay = row.isMissing ? '<em style="color: var(--color-text-secondary);">缺漏</em>' : formatNumber(row.accounts);
+    if (flows) {
+      // Flow mode: new / churned accounts of the period under the cumulative value
+      valueDisplay += `<br><span style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">+${formatNumber(flows[index].added)} / −${formatNumber(flows[index].churned)}</span>`;
+    }
     
     tr.className = statusClass;
     tr.innerHTML = `
@@ -717,6 +1981,7 @@ function displayDataPreview(data) {
       <td>${outlierBadge}</td>
       <td style="font-size: var(--font-size-sm);">${recommendation}</td>
       <td class="cell-actions">${actions}</td>
+      <td>${row.isMissing ? '-' : `<input type="checkbox" ${row.excludeFromFit ? '' : 'checked'} onchange="toggleFitExclusion(${index})">`}</td>
     `;
     tbody.appendChild(tr);
   });
@@ -726,6 +1991,10 @@ function displayDataPreview(data) {
 
 // Cell editing functions
 function editCell(index) {
+  if (state.inputMode === 'flow') {
+    editFlowCell(index);
+    return;
+  }
   const value = prompt('請輸入帳戶數:', state.historicalData[index].accounts || '');
   if (value !== null) {
     const accounts = parseFloat(value);
@@ -742,6 +2011,45 @@ function editCell(index) {
   }
 }
 
+// In flow mode the prompt edits the period's new accounts: the cumulative series (net / gross) is re-accumulated
+// from the per-period flows so every later period follows
+function editFlowCell(index) {
+  const rows = state.historicalData;
+  const flows = periodFlows(rows);
+  const value = prompt(`請輸入 ${rows[index].period} 的新增帳戶數:`, flows[index].added);
+  if (value === null) return;
+  const added = parseFloat(value);
+  if (isNaN(added) || added < 0) {
+    alert('請輸入有效的數字');
+    return;
+  }
+  
+  // Opening accounts = first gross cumulative - cumulative adds; aggregated rows re-accumulate from the differenced flows
+  const opening = rows[0].grossAccounts - rows[0].cumulativeAdded;
+  const edited = rows.map((row, i) => ({
+    ...row,
+    added: i === index ? added : flows[i].added,
+    churned: flows[i].churned,
+    ...(i === index ? { isMissing: false, dataType: 'Corrected' } : {})
+  }));
+  try {
+    accumulateFlows(edited, opening, state.flowFitTarget);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  state.historicalData = edited;
+  analyzeDataQuality();
+  displayDataQualityReport();
+  displayDataPreview(state.historicalData);
+}
+
+// Manually drop one quarter from the fit (it stays in the data and charts with weight 0)
+function toggleFitExclusion(index) {
+  state.historicalData[index].excludeFromFit = !state.historicalData[index].excludeFromFit;
+  displayDataPreview(state.historicalData);
+}
+
 function confirmCell(index) {
   state.historicalData[index].isOutlier = false;
   state.historicalData[index].dataType = 'Confirmed';
@@ -782,136 +2090,909 @@ function validateAndProceed() {
   performFitting();
 }
 
-// Step 2: Baseline Fitting
-function performFitting() {
-  const statusEl = document.getElementById('fittingStatus');
-  const paramsEl = document.getElementById('parametersDisplay');
-  
-  statusEl.textContent = '正在擬合模型...';
-  statusEl.className = 'status-message';
-  paramsEl.style.display = 'none';
-  
-  setTimeout(() => {
-    // Only use non-missing data for fitting
-    const validData = state.historicalData.filter(d => !d.isMissing);
-    const accounts = validData.map(d => d.accounts);
-    const result = fitGompertzCurve(accounts);
-    
-    if (!result) {
-      statusEl.textContent = '✘ 擬合失敗：無法找到有效參數。請檢查數據是否遵循S型曲線模式。';
-      statusEl.style.color = 'var(--color-error)';
-      statusEl.style.background = 'rgba(var(--color-error-rgb), 0.1)';
-      return;
-    }
-    
-    state.fittedParams = result.params;
-    
-    // Validate and display parameters with status indicators
-    const paramKEl = document.getElementById('paramK');
-    const paramBEl = document.getElementById('paramB');
-    const paramT0El = document.getElementById('paramT0');
-    
-    // Calculate confidence based on data quality
-    const dataQualityScore = state.dataQuality ? state.dataQuality.score : 100;
-    let confidenceLevel = 'high';
-    let confidenceColor = 'var(--color-success)';
-    let confidenceLabel = '高信心度';
-    
-    if (dataQualityScore >= 95) {
-      confidenceLevel = 'high';
-      confidenceColor = 'var(--color-success)';
-      confidenceLabel = '✓ 高信心度 (數據品質優異)';
-    } else if (dataQualityScore >= 80) {
-      confidenceLevel = 'moderate';
-      confidenceColor = 'var(--color-primary)';
-      confidenceLabel = '⚠️ 中等信心度 (數據品質良好)';
-    } else if (dataQualityScore >= 60) {
-      confidenceLevel = 'low';
-      confidenceColor = 'var(--color-warning)';
-      confidenceLabel = '⚠️ 低信心度 (數據品質可接受)';
-    } else {
-      confidenceLevel = 'very-low';
-      confidenceColor = 'var(--color-error)';
-      confidenceLabel = '❌ 極低信心度 (數據品質差)';
+// Step 1: File import (CSV / TSV / XLSX)
+// Text files are decoded by their BOM; without one, UTF-16 is recognised by the position of zero bytes, then UTF-8,
+// and invalid UTF-8 falls back to Big5 (CSV exported by Excel in Taiwan)
+const TEXT_BOMS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8', name: 'UTF-8 (BOM)' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le', name: 'UTF-16 LE' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be', name: 'UTF-16 BE' }
+];
+const IMPORT_DELIMITERS = { '\t': 'Tab', ',': '逗號', ';': '分號' };
+// Column roles: select id and the header pattern used for automatic mapping (tried in IMPORT_GUESS_ORDER, a column
+// is used once; "流失帳戶" matches both the value and the churn pattern, so churn goes first)
+const IMPORT_COLUMNS = {
+  period: { id: 'importPeriodColumn', label: '期間', required: true, pattern: /期間|日期|時間|季度|月份|週次|年度|年月|^(季|月|週|年)$|period|date|quarter|month|week|year/i },
+  value: { id: 'importValueColumn', label: '數值', required: true, pattern: /帳戶|用戶|會員|客戶|數量|新增|value|account|user|customer|count|total/i },
+  churned: { id: 'importChurnedColumn', label: '流失', flowOnly: true, pattern: /流失|churn/i },
+  segment: { id: 'importSegmentColumn', label: '區隔', pattern: /區隔|分群|區域|地區|通路|產品|segment|region|channel|product/i }
+};
+const IMPORT_GUESS_ORDER = ['churned', 'segment', 'period', 'value'];
+const IMPORT_ALL_SEGMENTS = '__all__';
+const IMPORT_PREVIEW_ROWS = 5;
+const IMPORT_MAX_ERRORS = 5; // errors listed in the dialog
+const MISSING_VALUE_TOKENS = ['', '-', 'null', 'na', 'n/a', 'x'];
+
+let pendingImport = null; // file waiting for its column mapping { fileName, description, sheets: [{ name, rows }] }
+
+// Full-width letters, digits and symbols (U+FF01–U+FF5E) to ASCII, the ideographic space to a plain space
+function normalizeFullWidth(text) {
+  return String(text)
+    .replace(/[\uFF01-\uFF5E]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+    .replace(/\u3000/g, ' ');
+}
+
+// Numeric cell: full-width digits and thousands separators (comma, space or ') are accepted;
+// missing-value markers return null and anything unrecognised NaN
+function parseImportedNumber(text) {
+  const normalized = normalizeFullWidth(text).trim();
+  if (MISSING_VALUE_TOKENS.includes(normalized.toLowerCase())) return null;
+  const compact = normalized.replace(/(\d)[,'\s](?=\d{3}(\D|$))/g, '$1');
+  return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(compact) ? parseFloat(compact) : NaN;
+}
+
+// Most frequent delimiter (outside quotes) on the first non-blank line; comma when there is none
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+  const unquoted = firstLine.replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  Object.keys(IMPORT_DELIMITERS).forEach(delimiter => {
+    const count = unquoted.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
     }
-    
-    const K = result.params.K;
-    const b = result.params.b;
-    const t0 = result.params.t0;
-    
-    // Check parameter validity
-    const maxData = Math.max(...accounts);
-    const K_valid = isFinite(K) && K > maxData;
-    const b_valid = isFinite(b) && b > 0.01 && b < 1.0;
-    const t0_valid = isFinite(t0);
-    const r2_valid = isFinite(result.r2) && result.r2 >= 0 && result.r2 <= 1;
-    
-    // Display with validation indicators
-    paramKEl.innerHTML = (K_valid ? '✔ ' : '⚠️ ') + formatNumber(K);
-    paramKEl.style.color = K_valid ? 'var(--color-success)' : 'var(--color-warning)';
-    
-    paramBEl.innerHTML = (b_valid ? '✔ ' : '⚠️ ') + b.toFixed(4);
-    paramBEl.style.color = b_valid ? 'var(--color-success)' : 'var(--color-warning)';
-    
-    paramT0El.innerHTML = (t0_valid ? '✔ ' : '⚠️ ') + t0.toFixed(2);
-    paramT0El.style.color = t0_valid ? 'var(--color-success)' : 'var(--color-warning)';
-    
-    document.getElementById('paramK_ci').textContent = '承載容量上限 (K > ' + formatNumber(maxData) + ')';
-    document.getElementById('paramB_ci').textContent = '成長速率參數 (合理範圍: 0.01-1.0)';
-    document.getElementById('paramT0_ci').textContent = '轉折點時間 (相對於起始點)';
-    
-    const r2Display = r2_valid ? result.r2.toFixed(4) : 'N/A';
-    const r2Color = r2_valid && result.r2 > 0.95 ? 'var(--color-success)' : 
-                     r2_valid && result.r2 > 0.85 ? 'var(--color-warning)' : 'var(--color-error)';
-    
-    const metricR2El = document.getElementById('metricR2');
-    metricR2El.textContent = r2Display;
-    metricR2El.style.color = r2Color;
-    
-    document.getElementById('metricRMSE').textContent = isFinite(result.rmse) ? formatNumber(result.rmse) : 'N/A';
-    
-    // Show quality message
-    if (result.valid && r2_valid) {
-      if (result.r2 > 0.95) {
-        statusEl.innerHTML = '✔ 擬合成功！R² = ' + result.r2.toFixed(4) + ' (優異)<br><span style="color: ' + confidenceColor + '; font-size: var(--font-size-sm);">' + confidenceLabel + '</span>';
-        statusEl.style.color = 'var(--color-success)';
-        statusEl.style.background = 'rgba(var(--color-success-rgb), 0.1)';
-      } else if (result.r2 > 0.85) {
-        statusEl.innerHTML = '⚠️ 擬合完成，R² = ' + result.r2.toFixed(4) + ' (品質中等，可能有雜訊)<br><span style="color: ' + confidenceColor + '; font-size: var(--font-size-sm);">' + confidenceLabel + '</span>';
-        statusEl.style.color = 'var(--color-warning)';
-        statusEl.style.background = 'rgba(var(--color-warning-rgb), 0.1)';
+  });
+  return best;
+}
+
+// Split delimited text into rows of fields (RFC 4180: quoted fields may hold delimiters and newlines, "" is a quote);
+// blank rows are skipped
+function parseDelimitedText(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const endRow = () => {
+    row.push(field);
+    if (row.some(cell => cell.trim() !== '')) rows.push(row);
+    row = [];
+    field = '';
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') {
+        field += ch;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
       } else {
-        statusEl.innerHTML = '⚠️ 擬合完成，R² = ' + result.r2.toFixed(4) + ' (品質較低，建議檢查數據)<br><span style="color: ' + confidenceColor + '; font-size: var(--font-size-sm);">' + confidenceLabel + '</span>';
-        statusEl.style.color = 'var(--color-warning)';
-        statusEl.style.background = 'rgba(var(--color-warning-rgb), 0.1)';
+        quoted = false;
       }
+    } else if (ch === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
     } else {
-      statusEl.innerHTML = '⚠️ 擬合完成但參數可能不穩定，請謹慎使用預測結果<br><span style="color: ' + confidenceColor + '; font-size: var(--font-size-sm);">' + confidenceLabel + '</span>';
-      statusEl.style.color = 'var(--color-error)';
-      statusEl.style.background = 'rgba(var(--color-error-rgb), 0.1)';
+      field += ch;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+function decodeTextFile(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const bom = TEXT_BOMS.find(b => b.bytes.every((byte, i) => bytes[i] === byte));
+  if (bom) {
+    return { text: new TextDecoder(bom.encoding).decode(bytes.subarray(bom.bytes.length)), encoding: bom.name };
+  }
+  
+  // Mostly-ASCII UTF-16 text has a zero in every other byte
+  const sample = bytes.subarray(0, 4096);
+  const zeros = [0, 0];
+  sample.forEach((byte, i) => { if (byte === 0) zeros[i % 2]++; });
+  const half = sample.length / 2;
+  if (zeros[1] > half * 0.3 && zeros[1] > zeros[0] * 4) {
+    return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'UTF-16 LE' };
+  }
+  if (zeros[0] > half * 0.3 && zeros[0] > zeros[1] * 4) {
+    return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'UTF-16 BE' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+  } catch (e) {
+    return { text: new TextDecoder('big5').decode(bytes), encoding: 'Big5' };
+  }
+}
+
+function readTextTable(buffer, fileName) {
+  const { text, encoding } = decodeTextFile(buffer);
+  const delimiter = /\.tsv$/i.test(fileName) ? '\t' : detectDelimiter(text);
+  const rows = parseDelimitedText(text.replace(/^\uFEFF/, ''), delimiter);
+  if (rows.length === 0) throw new Error('檔案沒有數據');
+  return { fileName, description: `${encoding}，${IMPORT_DELIMITERS[delimiter]}分隔`, sheets: [{ name: fileName, rows }] };
+}
+
+// Spreadsheet cell as text: dates as YYYY-MM-DD (read directly by date mode), numbers without the cell format
+function formatSpreadsheetCell(cell) {
+  if (cell instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${cell.getFullYear()}-${pad(cell.getMonth() + 1)}-${pad(cell.getDate())}`;
+  }
+  return String(cell);
+}
+
+function readWorkbook(buffer, fileName) {
+  if (typeof XLSX === 'undefined') {
+    throw new Error('試算表函式庫 (SheetJS) 未載入，請確認網路連線，或將檔案另存為 CSV 後匯入');
+  }
+  const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array', cellDates: true });
+  const sheets = workbook.SheetNames.map(name => ({
+    name,
+    rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: '', blankrows: false })
+      .map(row => row.map(formatSpreadsheetCell))
+  })).filter(sheet => sheet.rows.length > 0);
+  if (sheets.length === 0) throw new Error('活頁簿沒有數據');
+  return { fileName, description: `Excel 活頁簿，${sheets.length} 個有數據的工作表`, sheets };
+}
+
+// Read a dropped or chosen file (.xlsx / .xls as a workbook, anything else as delimited text) and open the mapping dialog
+function importDataFile(file) {
+  const reader = new FileReader();
+  const showError = (message) => {
+    const errorEl = document.getElementById('dataError');
+    errorEl.textContent = `錯誤: 無法匯入 ${file.name}：${message}`;
+    errorEl.style.display = 'block';
+  };
+  reader.onload = () => {
+    try {
+      pendingImport = /\.xlsx?$/i.test(file.name) ? readWorkbook(reader.result, file.name) : readTextTable(reader.result, file.name);
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+    openImportDialog();
+  };
+  reader.onerror = () => showError('讀取檔案失敗');
+  reader.readAsArrayBuffer(file);
+}
+
+function importSheetRows() {
+  return pendingImport.sheets[parseInt(document.getElementById('importSheet').value) || 0].rows;
+}
+
+// The first row is a header when it has no numbers and the second row does
+function guessHasHeader(rows) {
+  const hasNumber = (row) => row.some(cell => Number.isFinite(parseImportedNumber(cell)));
+  return rows.length > 1 && !hasNumber(rows[0]) && hasNumber(rows[1]);
+}
+
+// Map columns from the header; failing that, the period is the first unused column and the value
+// the first unused column that is mostly numeric
+function guessImportColumns(header, dataRows, columnCount) {
+  const mapping = { period: null, value: null, churned: null, segment: null };
+  const taken = new Set();
+  if (header) {
+    IMPORT_GUESS_ORDER.forEach(role => {
+      const index = header.findIndex((cell, i) => !taken.has(i) && IMPORT_COLUMNS[role].pattern.test(normalizeFullWidth(cell)));
+      if (index >= 0) {
+        mapping[role] = index;
+        taken.add(index);
+      }
+    });
+  }
+  const free = Array.from({ length: columnCount }, (_, i) => i).filter(i => !taken.has(i));
+  if (mapping.period === null) mapping.period = free.length ? free.shift() : 0;
+  if (mapping.value === null) {
+    const numericShare = (i) => {
+      const cells = dataRows.map(row => parseImportedNumber(row[i] || '')).filter(value => value !== null);
+      return cells.length ? cells.filter(Number.isFinite).length / cells.length : 0;
+    };
+    const numeric = free.find(i => numericShare(i) >= 0.5);
+    mapping.value = numeric !== undefined ? numeric : free.length ? free[0] : mapping.period;
+  }
+  return mapping;
+}
+
+function openImportDialog() {
+  const { fileName, description, sheets } = pendingImport;
+  document.getElementById('importFileInfo').textContent = `${fileName} (${description})`;
+  document.getElementById('importSheet').innerHTML = sheets.map((sheet, i) => `<option value="${i}">${escapeHtml(sheet.name)}</option>`).join('');
+  document.getElementById('importSheetGroup').style.display = sheets.length > 1 ? 'block' : 'none';
+  document.getElementById('importChurnedGroup').style.display = document.getElementById('inputMode').value === 'flow' ? 'block' : 'none';
+  document.getElementById('importHasHeader').checked = guessHasHeader(sheets[0].rows);
+  refreshImportColumns();
+  document.getElementById('importDialog').classList.remove('hidden');
+}
+
+function closeImportDialog() {
+  document.getElementById('importDialog').classList.add('hidden');
+  pendingImport = null;
+}
+
+// Rebuild the column options for the sheet and header setting, and map them automatically
+function refreshImportColumns() {
+  const rows = importSheetRows();
+  const hasHeader = document.getElementById('importHasHeader').checked;
+  const header = hasHeader ? rows[0] : null;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const columnOptions = Array.from({ length: columnCount }, (_, i) => {
+    const name = header && String(header[i] || '').trim() ? header[i] : `第 ${i + 1} 欄`;
+    return `<option value="${i}">${escapeHtml(name)}</option>`;
+  }).join('');
+  const mapping = guessImportColumns(header, dataRows, columnCount);
+  Object.entries(IMPORT_COLUMNS).forEach(([role, column]) => {
+    const select = document.getElementById(column.id);
+    select.innerHTML = (column.required ? '' : '<option value="">(不使用)</option>') + columnOptions;
+    select.value = mapping[role] === null ? '' : String(mapping[role]);
+  });
+  updateImportSegments();
+}
+
+// List the segments of the segment column (keeping a choice that still exists); defaults to the sum of all
+function updateImportSegments() {
+  const segmentColumn = document.getElementById('importSegmentColumn').value;
+  const group = document.getElementById('importSegmentValueGroup');
+  if (segmentColumn === '') {
+    group.style.display = 'none';
+  } else {
+    const select = document.getElementById('importSegmentValue');
+    const previous = select.value;
+    const rows = importSheetRows();
+    const dataRows = document.getElementById('importHasHeader').checked ? rows.slice(1) : rows;
+    const segments = [...new Set(dataRows.map(row => normalizeFullWidth(row[segmentColumn] || '').trim()))];
+    select.innerHTML = `<option value="${IMPORT_ALL_SEGMENTS}">全部區隔加總</option>` +
+      segments.map(segment => `<option value="${escapeHtml(segment)}">${escapeHtml(segment || '(空白)')}</option>`).join('');
+    select.value = segments.includes(previous) ? previous : IMPORT_ALL_SEGMENTS;
+    group.style.display = 'block';
+  }
+  updateImportPreview();
+}
+
+function readImportMapping() {
+  const flowMode = document.getElementById('inputMode').value === 'flow';
+  const mapping = {};
+  Object.entries(IMPORT_COLUMNS).forEach(([role, column]) => {
+    const value = document.getElementById(column.id).value;
+    mapping[role] = value === '' || (column.flowOnly && !flowMode) ? null : parseInt(value);
+  });
+  mapping.segmentValue = document.getElementById('importSegmentValue').value;
+  return mapping;
+}
+
+/**
+ * Apply the column mapping: keep the chosen segment (or add up all segments per period, ignoring missing values)
+ * and skip rows without a period. Returns { rows: [{ period, value, churned }], errors }; null marks a missing value.
+ */
+function collectImportRows() {
+  const mapping = readImportMapping();
+  const hasHeader = document.getElementById('importHasHeader').checked;
+  const rows = importSheetRows();
+  const summed = mapping.segment !== null && mapping.segmentValue === IMPORT_ALL_SEGMENTS;
+  const addNullable = (a, b) => a === null ? b : b === null ? a : a + b;
+  const errors = [];
+  if (mapping.period === mapping.value) errors.push('期間欄與數值欄必須是不同的欄');
+  
+  const byPeriod = new Map();
+  (hasHeader ? rows.slice(1) : rows).forEach((row, k) => {
+    const rowNumber = k + (hasHeader ? 2 : 1);
+    const cell = (index) => index === null ? '' : String(row[index] === undefined ? '' : row[index]);
+    const period = normalizeFullWidth(cell(mapping.period)).trim();
+    if (!period) return;
+    if (mapping.segment !== null && !summed && normalizeFullWidth(cell(mapping.segment)).trim() !== mapping.segmentValue) return;
+    
+    const parse = (role) => {
+      if (mapping[role] === null) return null;
+      const value = parseImportedNumber(cell(mapping[role]));
+      if (Number.isNaN(value)) errors.push(`第 ${rowNumber} 列的${IMPORT_COLUMNS[role].label}無法辨識: ${cell(mapping[role]).trim()}`);
+      return value;
+    };
+    const value = parse('value');
+    const churned = parse('churned');
+    const entry = byPeriod.get(period);
+    if (!entry) {
+      byPeriod.set(period, { period, value, churned });
+    } else if (summed) {
+      entry.value = addNullable(entry.value, value);
+      entry.churned = addNullable(entry.churned, churned);
+    } else {
+      errors.push(`期間重複: ${period} (第 ${rowNumber} 列)${mapping.segment === null ? '，若為多個區隔請選擇區隔欄' : ''}`);
+    }
+  });
+  if (byPeriod.size === 0 && errors.length === 0) errors.push('沒有可匯入的數據列');
+  return { rows: [...byPeriod.values()], errors };
+}
+
+function updateImportPreview() {
+  const { rows, errors } = collectImportRows();
+  const withChurn = readImportMapping().churned !== null;
+  const formatCell = (value) => value === null ? '<span style="color: var(--color-text-secondary);">缺漏</span>' : formatNumber(value);
+  document.getElementById('importPreviewHead').innerHTML = `<tr><th>期間</th><th>數值</th>${withChurn ? '<th>流失</th>' : ''}</tr>`;
+  document.getElementById('importPreviewBody').innerHTML = rows.slice(0, IMPORT_PREVIEW_ROWS).map(row => `
+      <tr><td>${escapeHtml(row.period)}</td><td>${formatCell(row.value)}</td>${withChurn ? `<td>${formatCell(row.churned)}</td>` : ''}</tr>`).join('');
+  document.getElementById('importPreviewNote').textContent = rows.length > IMPORT_PREVIEW_ROWS
+    ? `預覽前 ${IMPORT_PREVIEW_ROWS} 期，共 ${rows.length} 期` : `共 ${rows.length} 期`;
+  
+  const errorEl = document.getElementById('importError');
+  errorEl.textContent = errors.slice(0, IMPORT_MAX_ERRORS).join('；') +
+    (errors.length > IMPORT_MAX_ERRORS ? `；另有 ${errors.length - IMPORT_MAX_ERRORS} 項錯誤` : '');
+  errorEl.style.display = errors.length ? 'block' : 'none';
+  document.getElementById('confirmImportBtn').disabled = errors.length > 0;
+}
+
+// Write the mapped data into the paste area (period,value[,churned]) and parse it
+function confirmImport() {
+  const { rows, errors } = collectImportRows();
+  if (errors.length) return;
+  const withChurn = readImportMapping().churned !== null;
+  const cell = (value) => value === null ? '' : String(value);
+  document.getElementById('dataInput').value = rows
+    .map(row => [csvField(row.period), cell(row.value), ...(withChurn ? [cell(row.churned)] : [])].join(','))
+    .join('\n');
+  closeImportDialog();
+  parseAndDisplayData();
+}
+
+// Step 2: Baseline Fitting
+const PARAM_FORMATTERS = {
+  K: v => formatNumber(v),
+  b: v => v.toFixed(4),
+  t0: v => v.toFixed(2)
+};
+
+function formatParameterInterval(estimate, formatValue) {
+  if (!estimate) return 'N/A';
+  const text = 'SE ±' + formatValue(estimate.se) + '，95% CI [' + formatValue(estimate.lower) + ', ' + formatValue(estimate.upper) + ']';
+  if (estimate.atBound === 'fixed') return text + ' (固定參數)';
+  return estimate.atBound ? text + ' ⚠️ 位於' + BOUND_SIDE_LABELS[estimate.atBound] + '，區間為單側' : text;
+}
+
+// Parameters whose estimate sits on a fit bound (model bound or user constraint): the SE is only a local
+// approximation there and the interval has been clipped to the bound. Parameters fixed by the user are left out
+function describeBoundActiveParams(modelKey, uncertainty) {
+  if (!uncertainty) return '';
+  return GROWTH_MODELS[modelKey].params
+    .filter(param => uncertainty[param.key] && uncertainty[param.key].atBound && uncertainty[param.key].atBound !== 'fixed')
+    .map(param => param.key + ' 位於' + BOUND_SIDE_LABELS[uncertainty[param.key].atBound])
+    .join('、');
+}
+
+function formatConvergenceReport(convergence) {
+  const irls = convergence.robustIterations > 0 ? '，IRLS 重新加權 ' + convergence.robustIterations + ' 次' : '';
+  return '<br><span style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">' +
+    'Levenberg–Marquardt: ' + convergence.iterations + ' 次迭代，SSE = ' + formatNumber(convergence.sse) +
+    '，停止原因: ' + convergence.reasonText + irls + '</span>';
+}
+
+function readFitSettings() {
+  const halfLife = parseFloat(document.getElementById('recencyHalfLife').value);
+  const outlierWeight = parseFloat(document.getElementById('outlierWeight').value);
+  const loss = document.getElementById('fitLoss').value;
+  state.fitSettings = {
+    loss: LOSS_FUNCTIONS[loss] ? loss : 'squared',
+    recencyHalfLife: isFinite(halfLife) && halfLife > 0 ? halfLife : 0,
+    outlierWeight: isFinite(outlierWeight) ? Math.min(1, Math.max(0, outlierWeight)) : 1
+  };
+}
+
+// Base weight per point = recency decay × outlier weight; manually excluded points and points after the
+// calibration launch get 0. The recency decay runs on the time since the last row (difference in t, in
+// periods), so missing periods and irregular date-mode spacing count at their real length.
+// rows are the non-missing rows used for fitting; times are their time coordinates t. The parameter constraints
+// and churn layer are passed along so backtests and bootstrap refits keep the same MAP estimate and churn rate.
+function buildFitOptions(rows) {
+  const { loss, recencyHalfLife, outlierWeight } = state.fitSettings;
+  const lastT = rows[rows.length - 1].t;
+  const weights = rows.map(row => {
+    if (row.excludeFromFit || isPostLaunch(row)) return 0;
+    const recency = recencyHalfLife > 0 ? Math.pow(0.5, (lastT - row.t) / recencyHalfLife) : 1;
+    return recency * (row.isOutlier ? outlierWeight : 1);
+  });
+  return { loss, weights, constraints: state.paramConstraints, churn: state.churn, times: rows.map(row => row.t) };
+}
+
+// One-line summary of the loss and weight sources, shared by the status line and the CSV
+function describeFitSettings(rows) {
+  const { loss, recencyHalfLife, outlierWeight } = state.fitSettings;
+  const lossFn = LOSS_FUNCTIONS[loss];
+  const parts = ['損失函數: ' + lossFn.name + (lossFn.tuning ? ' (c = ' + lossFn.tuning + ')' : '')];
+  parts.push(recencyHalfLife > 0 ? '近期權重半衰期 ' + recencyHalfLife + ' 期' : '無近期衰減');
+  const outliers = rows.filter(row => row.isOutlier && !row.excludeFromFit).length;
+  if (outliers > 0) parts.push(outliers + ' 個未確認異常值權重 ' + outlierWeight);
+  const excluded = rows.filter(row => row.excludeFromFit).map(row => row.period);
+  if (excluded.length > 0) parts.push('排除 ' + excluded.join('、'));
+  const postLaunch = rows.filter(row => isPostLaunch(row) && !row.excludeFromFit);
+  if (postLaunch.length > 0) parts.push('介入啟動 (' + postLaunch[0].period + ') 後的 ' + postLaunch.length + ' 點不納入基線擬合');
+  return parts.join('；');
+}
+
+const CONSTRAINT_FIELDS = ['lower', 'upper', 'mean', 'sd'];
+
+// Constraint input rows for the selected model; values come from state.paramConstraints (same-named parameters are shared across models)
+function renderConstraintInputs() {
+  const model = GROWTH_MODELS[state.selectedModel];
+  document.getElementById('constraintsBody').innerHTML = model.params.map(param => {
+    const current = state.paramConstraints[param.key] || {};
+    const cells = CONSTRAINT_FIELDS.map(field => {
+      const value = Number.isFinite(current[field]) ? current[field] : '';
+      return `<td><input type="number" class="form-control constraint-input" data-param="${param.key}" data-field="${field}" value="${value}" step="any"></td>`;
+    }).join('');
+    return `<tr><td>${param.label}</td>${cells}</tr>`;
+  }).join('');
+}
+
+// Read and validate the constraint inputs; on success store them in state.paramConstraints and return null, else the error message
+function readParamConstraints() {
+  const next = { ...state.paramConstraints };
+  document.querySelectorAll('.constraint-input').forEach(input => {
+    const key = input.dataset.param;
+    const value = parseFloat(input.value);
+    next[key] = { ...(next[key] || {}) };
+    next[key][input.dataset.field] = isFinite(value) ? value : null;
+  });
+
+  const maxAccounts = Math.max(...state.historicalData.filter(d => !d.isMissing).map(d => d.accounts));
+  for (const param of GROWTH_MODELS[state.selectedModel].params) {
+    const c = next[param.key];
+    if (!c) continue;
+    if (Number.isFinite(c.lower) && Number.isFinite(c.upper) && c.lower > c.upper) {
+      return `${param.label}: 下限不可大於上限。`;
+    }
+    if (Number.isFinite(c.mean) !== Number.isFinite(c.sd)) {
+      return `${param.label}: 先驗需同時提供平均與標準差。`;
+    }
+    if (Number.isFinite(c.sd) && c.sd <= 0) {
+      return `${param.label}: 先驗標準差必須大於 0。`;
+    }
+    if (param.key === 'K' && Number.isFinite(c.upper) && c.upper < maxAccounts * CAPACITY_FLOOR_RATIO) {
+      return `K 的上限不可低於歷史最大值的 ${CAPACITY_FLOOR_RATIO * 100}% (${formatNumber(maxAccounts * CAPACITY_FLOOR_RATIO)})。`;
+    }
+  }
+  state.paramConstraints = next;
+  return null;
+}
+
+// Text summary of the constraints for the status line; lists only the given model's parameters
+function describeParamConstraints(modelKey) {
+  const parts = [];
+  GROWTH_MODELS[modelKey].params.forEach(param => {
+    const c = state.paramConstraints[param.key];
+    if (!c) return;
+    const format = v => formatModelParam(param, v);
+    const items = [];
+    if (Number.isFinite(c.lower) || Number.isFinite(c.upper)) {
+      items.push(`[${Number.isFinite(c.lower) ? format(c.lower) : '-∞'}, ${Number.isFinite(c.upper) ? format(c.upper) : '∞'}]`);
+    }
+    if (Number.isFinite(c.mean) && c.sd > 0) {
+      items.push(`先驗 N(${format(c.mean)}, ${format(c.sd)}²)`);
+    }
+    if (items.length > 0) parts.push(`${param.key} ${items.join(' ')}`);
+  });
+  return parts.join('；');
+}
+
+const CONSTRAINT_BOUND_LABELS = { fixed: '固定', lower: '貼齊下限', upper: '貼齊上限' };
+
+// Compare the unconstrained fit with the MAP estimate: how far the priors / bounds moved each parameter
+function displayConstraintImpact(result) {
+  const impactEl = document.getElementById('constraintImpact');
+  const impact = result && result.constraintImpact;
+  if (!impact) {
+    impactEl.style.display = 'none';
+    return;
+  }
+
+  const model = GROWTH_MODELS[result.model];
+  const rows = model.params.map(param => {
+    const shift = impact[param.key];
+    const format = v => formatModelParam(param, v);
+    const seUnits = isFinite(shift.seUnits) ? `${shift.seUnits >= 0 ? '+' : ''}${shift.seUnits.toFixed(2)} SE` : 'N/A';
+    const relative = isFinite(shift.relative) ? ` (${shift.relative >= 0 ? '+' : ''}${(shift.relative * 100).toFixed(1)}%)` : '';
+    const strong = Math.abs(shift.seUnits) > 2;
+    return `
+      <tr>
+        <td>${param.label}</td>
+        <td>${format(impact.unconstrained[param.key])}</td>
+        <td>${format(result.params[param.key])}</td>
+        <td>${shift.delta >= 0 ? '+' : ''}${format(shift.delta)}${relative}</td>
+        <td style="${strong ? 'color: var(--color-warning); font-weight: 600;' : ''}">${seUnits}</td>
+        <td>${CONSTRAINT_BOUND_LABELS[shift.atBound] || ''}</td>
+      </tr>
+    `;
+  }).join('');
+
+  const conflict = model.params.some(param => Math.abs(impact[param.key].seUnits) > 2);
+  impactEl.innerHTML = `
+    <h4>約束對估計值的影響 (${model.name})</h4>
+    <div style="overflow-x: auto;">
+      <table class="data-table">
+        <thead>
+          <tr><th>參數</th><th>無約束擬合</th><th>MAP 估計</th><th>變動</th><th>變動 / 無約束 SE</th><th>邊界</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    ${conflict ? '<p style="font-size: var(--font-size-sm); color: var(--color-warning); margin-top: var(--space-8);">⚠️ 部分參數移動超過 2 個標準誤：先驗與歷史數據明顯不一致，請確認約束是否合理。</p>' : ''}
+  `;
+  impactEl.style.display = 'block';
+}
+
+// Apply the churn layer settings and refit (the negative-growth quality check follows the setting)
+function applyChurnSettings() {
+  const mode = document.getElementById('churnMode').value;
+  const rate = parseFloat(document.getElementById('churnRate').value) / 100;
+  const earlyMultiplier = parseFloat(document.getElementById('churnEarlyMultiplier').value);
+  const earlyPeriods = parseInt(document.getElementById('churnEarlyPeriods').value);
+  if (!(rate >= 0 && rate < 1)) {
+    alert('每期流失率必須介於 0% 與 100% 之間');
+    return;
+  }
+  if (!(earlyMultiplier >= 0)) {
+    alert('新帳戶流失倍數必須是大於或等於 0 的數字');
+    return;
+  }
+  if (!(earlyPeriods >= 1)) {
+    alert('新帳戶期間必須是大於或等於 1 的整數');
+    return;
+  }
+  state.churnSettings = {
+    mode: CHURN_MODES[mode] ? mode : 'none',
+    fitRate: document.getElementById('churnFitRate').checked,
+    rate,
+    earlyMultiplier,
+    earlyPeriods
+  };
+  analyzeDataQuality();
+  displayDataQualityReport();
+  performFitting();
+}
+
+const CHURN_SOURCES = { flow: '由流量模式的流失數估計', profile: '由歷史數據的下降估計', manual: '手動輸入' };
+
+function describeChurn(churn) {
+  const early = churn.mode === 'cohort' ? `，新帳戶前 ${churn.earlyPeriods} 期 ${(churnRateAtAge(churn, 0) * 100).toFixed(2)}%` : '';
+  const lifetime = churnLifetime(churn);
+  let text = `${CHURN_MODES[churn.mode].name}：每期 ${(churn.rate * 100).toFixed(2)}%${early} (${CHURN_SOURCES[churn.source]})；` +
+    `穩定期年留存率 ${(Math.pow(1 - churn.rate, periodsPerYear()) * 100).toFixed(1)}%，` +
+    `平均帳戶壽命 ${isFinite(lifetime) ? lifetime.toFixed(1) + ' ' + periodUnit() : '無上限'}`;
+  if (churn.source === 'profile' && churn.rate === 0) text += '。歷史數據沒有可歸因於流失的下降';
+  if (churn.source === 'profile' && churn.rate > CHURN_MAX_RATE - CHURN_RATE_TOLERANCE) text += `。⚠️ 估計值達上限 ${CHURN_MAX_RATE * 100}%，請檢查數據`;
+  return text;
+}
+
+function displayChurnStatus() {
+  const statusEl = document.getElementById('churnStatus');
+  if (!state.churn) {
+    statusEl.style.display = 'none';
+    return;
+  }
+  statusEl.textContent = describeChurn(state.churn);
+  statusEl.style.display = 'block';
+}
+
+function performFitting() {
+  const statusEl = document.getElementById('fittingStatus');
+  const paramsEl = document.getElementById('parametersDisplay');
+  
+  statusEl.textContent = '正在擬合模型...';
+  statusEl.className = 'status-message';
+  paramsEl.style.display = 'none';
+  
+  setTimeout(() => {
+    // Only use non-missing data for fitting
+    const validData = state.historicalData.filter(d => !d.isMissing);
+    const accounts = validData.map(d => d.accounts);
+    
+    readFitSettings();
+    populateCalibrationControls();
+    const fitOptions = buildFitOptions(validData);
+    if (fitOptions.weights.filter(w => w > 0).length < 8) {
+      statusEl.textContent = '✘ 擬合失敗：納入擬合的數據點不足 (少於 8 個)，請減少排除的期間或延後介入啟動期';
+      statusEl.style.color = 'var(--color-error)';
+      statusEl.style.background = 'rgba(var(--color-error-rgb), 0.1)';
+      return;
+    }
+    // The churn layer treats the data as active accounts; the gross series has no churn to remove
+    if (state.churnSettings.mode !== 'none' && state.inputMode === 'flow' && state.flowFitTarget === 'gross') {
+      statusEl.textContent = '✘ 擬合失敗：流失層需以淨累計擬合，請在步驟 1 將流量模式的擬合序列改為淨累計';
+      statusEl.style.color = 'var(--color-error)';
+      statusEl.style.background = 'rgba(var(--color-error-rgb), 0.1)';
+      return;
+    }
+    
+    // Settle the churn rate on the selected model, then fit every candidate with that fixed rate
+    state.churn = resolveChurn(state.selectedModel, validData, accounts, fitOptions);
+    fitOptions.churn = state.churn;
+    displayChurnStatus();
+    state.modelFits = fitAllGrowthModels(accounts, fitOptions);
+    clearBacktestResults();
+    
+    if (!state.modelFits[state.selectedModel]) {
+      // Fall back to the best AIC model when the previously selected one failed
+      const ranked = rankModelFits(state.modelFits, 'aic');
+      if (ranked.length === 0) {
+        statusEl.textContent = '✘ 擬合失敗：無法找到有效參數。請檢查數據是否遵循S型曲線模式。';
+        statusEl.style.color = 'var(--color-error)';
+        statusEl.style.background = 'rgba(var(--color-error-rgb), 0.1)';
+        return;
+      }
+      state.selectedModel = ranked[0].model;
     }
     
-    statusEl.style.display = 'block';
-    paramsEl.style.display = 'block';
-    
-    displayFittingChart();
+    selectGrowthModel(state.selectedModel);
+    displayModelComparison();
+    document.getElementById('modelComparisonCard').style.display = 'block';
+    paramsEl.style.display = 'block';
   }, 500);
 }
 
+// Switch the model that drives forecasts: load its fit and refresh parameters, status and chart
+function selectGrowthModel(modelKey) {
+  const result = state.modelFits && state.modelFits[modelKey];
+  if (!result) return;
+  
+  state.selectedModel = modelKey;
+  state.fittedParams = { ...result.params };
+  state.parameterUncertainty = result.uncertainty;
+  
+  const isGompertz = modelKey === 'gompertz';
+  document.getElementById('gompertzParamsGrid').style.display = isGompertz ? '' : 'none';
+  document.getElementById('modelParamsReadout').style.display = isGompertz ? 'none' : '';
+  if (isGompertz) {
+    const [, paramB, paramT0] = GROWTH_MODELS.gompertz.params;
+    document.getElementById('paramB_label').textContent = paramLabelWithUnit(paramB);
+    document.getElementById('paramT0_label').textContent = paramLabelWithUnit(paramT0);
+  } else {
+    displayModelParamsReadout(result);
+  }
+  
+  displayFittingResult(result);
+  renderConstraintInputs();
+  displayConstraintImpact(result);
+  displayFittingChart();
+  runCalibration();
+}
+
+function displayModelParamsReadout(result) {
+  const model = GROWTH_MODELS[result.model];
+  document.getElementById('modelParamsReadout').innerHTML = model.params.map(param => {
+    const formatValue = v => formatModelParam(param, v);
+    const interval = result.uncertainty ? formatParameterInterval(result.uncertainty[param.key], formatValue) : 'N/A';
+    return `
+      <div class="param-card">
+        <div class="param-label">${paramLabelWithUnit(param)}</div>
+        <div class="param-value">${formatValue(result.params[param.key])}</div>
+        <div class="param-ci">${interval}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+function displayModelComparison() {
+  const criterion = document.getElementById('modelRankCriterion').value;
+  const ranked = rankModelFits(state.modelFits, criterion);
+  const bestAIC = Math.min(...ranked.map(fit => fit.aic));
+  
+  const rows = ranked.map((fit, i) => {
+    const model = GROWTH_MODELS[fit.model];
+    const paramText = model.params.map(param => {
+      const unit = paramTimeUnit(param);
+      return `${param.key}=${formatModelParam(param, fit.params[param.key])}${unit ? ` ${unit}` : ''}`;
+    }).join(', ');
+    const checked = fit.model === state.selectedModel ? 'checked' : '';
+    const boundActive = describeBoundActiveParams(fit.model, fit.uncertainty);
+    const boundNote = boundActive
+      ? `<br><span style="font-size: var(--font-size-xs); color: var(--color-warning);">⚠️ ${boundActive} (邊界解，排在內部解之後)</span>`
+      : '';
+    return `
+      <tr>
+        <td>${i + 1}</td>
+        <td><span style="color: ${model.color}; font-weight: 600;">${model.name}</span><br>
+          <span style="font-size: var(--font-size-xs); color: var(--color-text-secondary);">${model.formula}</span>${boundNote}</td>
+        <td style="font-size: var(--font-size-sm);">${paramText}</td>
+        <td>${fit.r2.toFixed(4)}</td>
+        <td>${formatNumber(fit.rmse)}</td>
+        <td>${fit.aic.toFixed(1)}</td>
+        <td>${(fit.aic - bestAIC).toFixed(1)}</td>
+        <td>${fit.bic.toFixed(1)}</td>
+        <td>${fit.convergence.converged ? '✔' : '⚠️'}</td>
+        <td><input type="radio" name="selectedModel" value="${fit.model}" ${checked}></td>
+      </tr>
+    `;
+  });
+  
+  // Failed fits go last
+  Object.keys(GROWTH_MODELS).forEach(modelKey => {
+    if (!state.modelFits[modelKey]) {
+      rows.push(`<tr><td>-</td><td>${GROWTH_MODELS[modelKey].name}</td><td colspan="8" style="color: var(--color-error);">擬合失敗</td></tr>`);
+    }
+  });
+  
+  const tbody = document.getElementById('modelComparisonBody');
+  tbody.innerHTML = rows.join('');
+  tbody.querySelectorAll('input[name="selectedModel"]').forEach(radio => {
+    radio.addEventListener('change', (e) => selectGrowthModel(e.target.value));
+  });
+}
+
+function displayFittingResult(result) {
+  const statusEl = document.getElementById('fittingStatus');
+  const accounts = state.historicalData.filter(d => !d.isMissing).map(d => d.accounts);
+  const modelName = GROWTH_MODELS[result.model].name;
+  
+  // Calculate confidence based on data quality
+  const dataQualityScore = state.dataQuality ? state.dataQuality.score : 100;
+  let confidenceLevel = 'high';
+  let confidenceColor = 'var(--color-success)';
+  let confidenceLabel = '高信心度';
+  
+  if (dataQualityScore >= 95) {
+    confidenceLevel = 'high';
+    confidenceColor = 'var(--color-success)';
+    confidenceLabel = '✓ 高信心度 (數據品質優異)';
+  } else if (dataQualityScore >= 80) {
+    confidenceLevel = 'moderate';
+    confidenceColor = 'var(--color-primary)';
+    confidenceLabel = '⚠️ 中等信心度 (數據品質良好)';
+  } else if (dataQualityScore >= 60) {
+    confidenceLevel = 'low';
+    confidenceColor = 'var(--color-warning)';
+    confidenceLabel = '⚠️ 低信心度 (數據品質可接受)';
+  } else {
+    confidenceLevel = 'very-low';
+    confidenceColor = 'var(--color-error)';
+    confidenceLabel = '❌ 極低信心度 (數據品質差)';
+  }
+  
+  const r2_valid = isFinite(result.r2) && result.r2 >= 0 && result.r2 <= 1;
+  const uncertainty = result.uncertainty;
+  
+  if (result.model === 'gompertz') {
+    // Validate and display parameters with status indicators
+    const paramKEl = document.getElementById('paramK');
+    const paramBEl = document.getElementById('paramB');
+    const paramT0El = document.getElementById('paramT0');
+    
+    const K = result.params.K;
+    const b = result.params.b;
+    const t0 = result.params.t0;
+    
+    // Check parameter validity
+    const maxData = Math.max(...accounts);
+    const K_valid = isFinite(K) && K > maxData;
+    const b_valid = isFinite(b) && b > 0.01 && b < 1.0;
+    const t0_valid = isFinite(t0);
+    
+    // Display with validation indicators
+    paramKEl.innerHTML = (K_valid ? '✔ ' : '⚠️ ') + formatNumber(K);
+    paramKEl.style.color = K_valid ? 'var(--color-success)' : 'var(--color-warning)';
+    
+    paramBEl.innerHTML = (b_valid ? '✔ ' : '⚠️ ') + b.toFixed(4);
+    paramBEl.style.color = b_valid ? 'var(--color-success)' : 'var(--color-warning)';
+    
+    paramT0El.innerHTML = (t0_valid ? '✔ ' : '⚠️ ') + t0.toFixed(2);
+    paramT0El.style.color = t0_valid ? 'var(--color-success)' : 'var(--color-warning)';
+    
+    document.getElementById('paramK_ci').textContent = uncertainty ? formatParameterInterval(uncertainty.K, PARAM_FORMATTERS.K) : '承載容量上限 (K > ' + formatNumber(maxData) + ')';
+    document.getElementById('paramB_ci').textContent = uncertainty ? formatParameterInterval(uncertainty.b, PARAM_FORMATTERS.b) : '成長速率參數 (合理範圍: 0.01-1.0)';
+    document.getElementById('paramT0_ci').textContent = uncertainty ? formatParameterInterval(uncertainty.t0, PARAM_FORMATTERS.t0) : '轉折點時間 (相對於起始點)';
+  }
+  
+  const r2Display = r2_valid ? result.r2.toFixed(4) : 'N/A';
+  const r2Color = r2_valid && result.r2 > 0.95 ? 'var(--color-success)' : 
+                   r2_valid && result.r2 > 0.85 ? 'var(--color-warning)' : 'var(--color-error)';
+  
+  const metricR2El = document.getElementById('metricR2');
+  metricR2El.textContent = r2Display;
+  metricR2El.style.color = r2Color;
+  
+  document.getElementById('metricRMSE').textContent = isFinite(result.rmse) ? formatNumber(result.rmse) : 'N/A';
+  
+  // Show quality message
+  if (result.valid && r2_valid) {
+    if (result.r2 > 0.95) {
+      statusEl.innerHTML = '✔ ' + modelName + ' 擬合成功！R² = ' + result.r2.toFixed(4) + ' (優異)<br><span style="color: ' + confidenceColor + '; font-size: var(--font-size-sm);">' + confidenceLabel + '</span>';
+      statusEl.style.color = 'var(--color-success)';
+      statusEl.style.background = 'rgba(var(--color-success-rgb), 0.1)';
+    } else if (result.r2 > 0.85) {
+      statusEl.innerHTML = '⚠️ ' + modelName + ' 擬合完成，R² = ' + result.r2.toFixed(4) + ' (品質中等，可能有雜訊)<br><span style="color: ' + confidenceColor + '; font-size: var(--font-size-sm);">' + confidenceLabel + '</span>';
+      statusEl.style.color = 'var(--color-warning)';
+      statusEl.style.background = 'rgba(var(--color-warning-rgb), 0.1)';
+    } else {
+      statusEl.innerHTML = '⚠️ ' + modelName + ' 擬合完成，R² = ' + result.r2.toFixed(4) + ' (品質較低，建議檢查數據)<br><span style="color: ' + confidenceColor + '; font-size: var(--font-size-sm);">' + confidenceLabel + '</span>';
+      statusEl.style.color = 'var(--color-warning)';
+      statusEl.style.background = 'rgba(var(--color-warning-rgb), 0.1)';
+    }
+  } else {
+    statusEl.innerHTML = '⚠️ 擬合完成但參數可能不穩定，請謹慎使用預測結果<br><span style="color: ' + confidenceColor + '; font-size: var(--font-size-sm);">' + confidenceLabel + '</span>';
+    statusEl.style.color = 'var(--color-error)';
+    statusEl.style.background = 'rgba(var(--color-error-rgb), 0.1)';
+  }
+  
+  statusEl.innerHTML += formatConvergenceReport(result.convergence);
+  statusEl.innerHTML += '<br><span style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">' +
+    describeFitSettings(state.historicalData.filter(d => !d.isMissing)) + '</span>';
+  if (result.constraintImpact) {
+    statusEl.innerHTML += '<br><span style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">已套用參數約束 (MAP 估計): ' +
+      describeParamConstraints(result.model) + '</span>';
+  }
+  if (!uncertainty) {
+    statusEl.innerHTML += '<br><span style="font-size: var(--font-size-sm);">⚠️ 無法估計參數信賴區間 (Jacobian 奇異或自由度不足)</span>';
+  }
+  const boundActive = describeBoundActiveParams(result.model, uncertainty);
+  if (boundActive) {
+    statusEl.innerHTML += '<br><span style="font-size: var(--font-size-sm);">⚠️ 參數受邊界限制 (' + boundActive + ')：標準誤僅為邊界處的近似，信賴區間已截斷為單側</span>';
+  }
+  statusEl.style.display = 'block';
+}
+
 function displayFittingChart() {
   const ctx = document.getElementById('fittingChart').getContext('2d');
   
   const periods = state.historicalData.map(d => d.period);
   const actual = state.historicalData.map(d => d.accounts);
-  const fitted = state.historicalData.map((d, i) => 
-    gompertzModel(i, state.fittedParams.K, state.fittedParams.b, state.fittedParams.t0)
-  );
+  const selected = GROWTH_MODELS[state.selectedModel];
+  const times = state.historicalData.map(d => d.t);
+  const fitted = projectPath(state.selectedModel, state.fittedParams, times);
+  
+  // With a churn layer the fitted curve is active accounts; cumulative gross adds are drawn as a thin dashed line
+  const grossDatasets = state.churn ? [{
+    label: '累計總新增 (未扣流失)',
+    data: projectPath(state.selectedModel, state.fittedParams, times, [], 0, null),
+    borderColor: '#9ca3af',
+    backgroundColor: 'transparent',
+    borderWidth: 1.5,
+    borderDash: [2, 3],
+    pointRadius: 0
+  }] : [];
+  
+  // Excluded points are drawn as ✕ and post-launch points (calibration) as purple triangles; points Huber / Tukey cut below half their base weight are orange
+  // (L1 weights are inversely proportional to the residual by design, so they are not marked)
+  const fit = state.modelFits && state.modelFits[state.selectedModel];
+  const marksDownweighted = fit && (fit.loss === 'huber' || fit.loss === 'tukey');
+  const baseWeights = buildFitOptions(state.historicalData.filter(d => !d.isMissing)).weights;
+  let validIndex = -1;
+  const pointStyles = state.historicalData.map(d => {
+    if (d.isMissing) return { style: 'circle', color: '#3b82f6' };
+    validIndex++;
+    if (d.excludeFromFit) return { style: 'crossRot', color: '#9ca3af' };
+    if (isPostLaunch(d)) return { style: 'triangle', color: '#8b5cf6' };
+    const downweighted = marksDownweighted && fit.weights[validIndex] < 0.5 * baseWeights[validIndex];
+    return { style: 'circle', color: downweighted ? '#f59e0b' : '#3b82f6' };
+  });
+  
+  // Optional overlay of the other candidate fits
+  const candidateDatasets = [];
+  if (document.getElementById('showCandidateCurves').checked && state.modelFits) {
+    Object.entries(state.modelFits).forEach(([modelKey, fit]) => {
+      if (!fit || modelKey === state.selectedModel) return;
+      const model = GROWTH_MODELS[modelKey];
+      candidateDatasets.push({
+        label: model.name + ' (R² ' + fit.r2.toFixed(3) + ')',
+        data: projectPath(modelKey, fit.params, times),
+        borderColor: model.color,
+        backgroundColor: 'transparent',
+        borderWidth: 1.5,
+        borderDash: [2, 3],
+        pointRadius: 0
+      });
+    });
+  }
   
   if (fittingChart) {
     fittingChart.destroy();
   }
   
-  fittingChart = new Chart(ctx, {
+  fittingChart = new Chart(ctx, withTimeAxis({
     type: 'line',
     data: {
       labels: periods,
@@ -923,17 +3004,22 @@ function displayFittingChart() {
           backgroundColor: 'rgba(59, 130, 246, 0.1)',
           pointRadius: 5,
           pointHoverRadius: 7,
+          pointStyle: pointStyles.map(p => p.style),
+          pointBackgroundColor: pointStyles.map(p => p.color),
+          pointBorderColor: pointStyles.map(p => p.color),
           borderWidth: 2
         },
         {
-          label: '擬合曲線',
+          label: '擬合曲線 (' + selected.name + ')',
           data: fitted,
-          borderColor: '#10b981',
+          borderColor: selected.color,
           backgroundColor: 'transparent',
           borderWidth: 2,
           borderDash: [5, 5],
           pointRadius: 0
-        }
+        },
+        ...grossDatasets,
+        ...candidateDatasets
       ]
     },
     options: {
@@ -963,201 +3049,519 @@ function displayFittingChart() {
         }
       }
     }
-  });
+  }, state.historicalData.map(d => calendarYearAt(d.t))));
 }
 
-// Step 3: Scenario Configuration
-function initializeSliders() {
-  const scenarios = ['conservative', 'moderate', 'aggressive'];
-  const params = ['alpha', 'delta_t', 'kappa', 'half_life', 'window', 'expansion'];
-  
-  scenarios.forEach(scenario => {
-    params.forEach(param => {
-      const sliderId = `${param}_${scenario}`;
-      const slider = document.getElementById(sliderId);
-      const valueEl = document.getElementById(`${sliderId}_val`);
-      
-      if (slider && valueEl) {
-        slider.addEventListener('input', (e) => {
-          const value = parseFloat(e.target.value);
-          valueEl.textContent = value;
-          
-          // Update state
-          const paramKey = param === 'window' ? 'window_length' : param === 'expansion' ? 'expansion_length' : param;
-          state.scenarioParams[scenario][paramKey] = value;
-        });
-      }
-    });
-  });
-}
+// Step 2: Backtesting
+const BACKTEST_MIN_TRAINING = 8; // same minimum as performFitting
 
-function loadScenarioPreset(scenario) {
-  const presets = {
-    conservative: { alpha: 0.10, delta_t: 0.5, kappa: 0.02, half_life: 6, window_length: 6, expansion_length: 8 },
-    moderate: { alpha: 0.20, delta_t: 1.0, kappa: 0.05, half_life: 8, window_length: 8, expansion_length: 10 },
-    aggressive: { alpha: 0.35, delta_t: 1.5, kappa: 0.08, half_life: 10, window_length: 12, expansion_length: 12 }
-  };
-  
-  const preset = presets[scenario];
-  state.scenarioParams[scenario] = { ...preset };
-  
-  // Update sliders
-  document.getElementById(`alpha_${scenario}`).value = preset.alpha;
-  document.getElementById(`alpha_${scenario}_val`).textContent = preset.alpha;
-  
-  document.getElementById(`delta_t_${scenario}`).value = preset.delta_t;
-  document.getElementById(`delta_t_${scenario}_val`).textContent = preset.delta_t;
-  
-  document.getElementById(`kappa_${scenario}`).value = preset.kappa;
-  document.getElementById(`kappa_${scenario}_val`).textContent = preset.kappa;
-  
-  document.getElementById(`half_life_${scenario}`).value = preset.half_life;
-  document.getElementById(`half_life_${scenario}_val`).textContent = preset.half_life;
+// Fit on the rows before each cut point (current loss, weights and churn settings) and score the next
+// `horizon` quarters against actuals.
+// numOrigins > 1 rolls the cut back one quarter at a time, keeping a full horizon per origin.
+// Returns { model, horizon, origins, horizons }, or null when there is not enough data.
+function runBacktest(modelKey, rows, horizon, numOrigins) {
+  const data = rows.map(d => d.accounts);
+  const n = data.length;
+  const lastCut = n - horizon;
+  const firstCut = Math.max(BACKTEST_MIN_TRAINING, lastCut - numOrigins + 1);
+  if (lastCut < firstCut) return null;
+  
+  const origins = [];
+  for (let cut = firstCut; cut <= lastCut; cut++) {
+    const trainingRows = rows.slice(0, cut);
+    const fitOptions = buildFitOptions(trainingRows);
+    // Re-estimate churn on the training window too, so the full-history estimate doesn't leak the holdout into the backtest
+    fitOptions.churn = resolveChurn(modelKey, trainingRows, data.slice(0, cut), fitOptions);
+    const fit = fitGrowthModel(modelKey, data.slice(0, cut), fitOptions);
+    if (!fit) continue;
+    
+    const predicted = projectPath(modelKey, fit.params, rows.slice(cut, cut + horizon).map(row => row.t), [], 0, fitOptions.churn);
+    const forecasts = [];
+    for (let h = 1; h <= horizon; h++) {
+      const index = cut + h - 1;
+      forecasts.push({ h, index, actual: data[index], predicted: predicted[h - 1] });
+    }
+    origins.push({ cut, params: fit.params, churn: fitOptions.churn, uncertainty: fit.uncertainty, converged: fit.convergence.converged, forecasts, ...forecastErrorMetrics(forecasts) });
+  }
+  if (origins.length === 0) return null;
   
-  document.getElementById(`window_${scenario}`).value = preset.window_length;
-  document.getElementById(`window_${scenario}_val`).textContent = preset.window_length;
+  // Aggregate every origin per forecast step
+  const horizons = [];
+  for (let h = 1; h <= horizon; h++) {
+    const points = origins.map(o => o.forecasts[h - 1]);
+    horizons.push({ h, count: points.length, ...forecastErrorMetrics(points) });
+  }
   
-  document.getElementById(`expansion_${scenario}`).value = preset.expansion_length;
-  document.getElementById(`expansion_${scenario}_val`).textContent = preset.expansion_length;
+  return { model: modelKey, horizon, origins, horizons };
 }
 
-// Step 4: Results & Analysis
-function generateForecasts() {
-  const forecastYears = parseInt(document.getElementById('forecastYears').value);
-  const forecastQuarters = forecastYears * 4;
-  const platformLaunch = parseInt(document.getElementById('platformLaunch').value);
-  
-  state.platformLaunchQuarter = platformLaunch;
-  
-  console.log('Generating forecasts for', forecastQuarters, 'quarters...');
-  console.log('Platform launch at quarter:', platformLaunch);
-  console.log('Using fitted params:', state.fittedParams);
+// MAPE (%), RMSE and bias (mean forecast error; positive means over-forecast)
+function forecastErrorMetrics(points) {
+  const valid = points.filter(p => isFinite(p.predicted) && isFinite(p.actual));
+  if (valid.length === 0) return { mape: NaN, rmse: NaN, bias: NaN };
   
-  const lastPeriod = state.historicalData[state.historicalData.length - 1].period;
-  const forecastPeriods = generateQuarters(lastPeriod, forecastQuarters + 1).slice(1);
+  const errors = valid.map(p => p.predicted - p.actual);
+  const nonZero = valid.filter(p => p.actual !== 0);
+  const mape = nonZero.length > 0
+    ? nonZero.reduce((sum, p) => sum + Math.abs((p.predicted - p.actual) / p.actual), 0) / nonZero.length * 100
+    : NaN;
   
-  const baseOffset = state.historicalData.length;
-  
-  const forecasts = {
-    periods: forecastPeriods,
-    baseline: [],
-    conservative: [],
-    moderate: [],
-    aggressive: []
+  return {
+    mape,
+    rmse: Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length),
+    bias: errors.reduce((sum, e) => sum + e, 0) / errors.length
   };
+}
+
+function performBacktest() {
+  const statusEl = document.getElementById('backtestStatus');
+  const resultsEl = document.getElementById('backtestResults');
+  const horizon = parseInt(document.getElementById('backtestHorizon').value);
+  const numOrigins = parseInt(document.getElementById('backtestOrigins').value);
+  const validData = state.historicalData.filter(d => !d.isMissing);
+  const accounts = validData.map(d => d.accounts);
+  
+  if (!isFinite(horizon) || horizon < 1 || !isFinite(numOrigins) || numOrigins < 1) {
+    alert('保留期數與起點數必須是大於 0 的整數。');
+    return;
+  }
+  if (accounts.length - horizon < BACKTEST_MIN_TRAINING) {
+    alert(`有效數據點不足：保留 ${horizon} 期後至少需要 ${BACKTEST_MIN_TRAINING} 個訓練點 (目前 ${accounts.length} 個)。`);
+    return;
+  }
+  if (state.churnSettings.mode !== 'none' && state.inputMode === 'flow' && state.flowFitTarget === 'gross') {
+    alert('流失層需以淨累計擬合，請在步驟 1 將流量模式的擬合序列改為淨累計。');
+    return;
+  }
   
-  let hasInvalidForecasts = false;
+  statusEl.style.display = 'block';
+  statusEl.textContent = '正在回測...';
+  statusEl.style.color = '';
+  resultsEl.style.display = 'none';
   
-  for (let i = 0; i < forecastQuarters; i++) {
-    const t = baseOffset + i;
-    const baseline = gompertzModel(t, state.fittedParams.K, state.fittedParams.b, state.fittedParams.t0);
+  setTimeout(() => {
+    readFitSettings();
+    const results = runBacktest(state.selectedModel, validData, horizon, numOrigins);
     
-    if (!isFinite(baseline)) {
-      console.error('Invalid baseline at t=' + t);
-      hasInvalidForecasts = true;
-      forecasts.baseline.push(NaN);
-      forecasts.conservative.push(NaN);
-      forecasts.moderate.push(NaN);
-      forecasts.aggressive.push(NaN);
-      continue;
+    if (!results) {
+      statusEl.textContent = '✘ 回測失敗：所有起點皆無法擬合';
+      statusEl.style.color = 'var(--color-error)';
+      return;
     }
     
-    forecasts.baseline.push(baseline);
-    
-    // Calculate uncertainty based on data quality
-    const uncertaintyFactor = state.dataQuality ? (100 - state.dataQuality.score) / 100 : 0;
-    const baselineUncertainty = baseline * (0.02 + uncertaintyFactor * 0.06); // 2-8% uncertainty
+    results.periods = validData.map(d => d.period);
+    results.times = validData.map(d => d.t);
+    results.actual = accounts;
+    state.backtestResults = results;
     
-    const conservative = applyIntervention(t, baseline, state.fittedParams, state.scenarioParams.conservative, baseOffset + platformLaunch);
-    const moderate = applyIntervention(t, baseline, state.fittedParams, state.scenarioParams.moderate, baseOffset + platformLaunch);
-    const aggressive = applyIntervention(t, baseline, state.fittedParams, state.scenarioParams.aggressive, baseOffset + platformLaunch);
+    const requested = Math.min(numOrigins, accounts.length - horizon - BACKTEST_MIN_TRAINING + 1);
+    statusEl.textContent = `✔ ${GROWTH_MODELS[results.model].name}：完成 ${results.origins.length} 個起點的回測` +
+      (requested > results.origins.length ? ` (${requested - results.origins.length} 個起點擬合失敗)` : '') +
+      (numOrigins > requested ? ` (數據僅足夠 ${requested} 個起點)` : '');
+    statusEl.style.color = 'var(--color-success)';
     
-    if (!isFinite(conservative) || !isFinite(moderate) || !isFinite(aggressive)) {
-      console.error('Invalid intervention result at t=' + t);
-      hasInvalidForecasts = true;
+    displayBacktestResults(results);
+    resultsEl.style.display = 'block';
+  }, 100);
+}
+
+function displayBacktestResults(results) {
+  const formatPercent = v => isFinite(v) ? v.toFixed(2) + '%' : 'N/A';
+  const formatSigned = v => isFinite(v) ? (v < 0 ? '−' : '+') + formatNumber(Math.abs(v)) : 'N/A';
+  
+  document.getElementById('backtestHorizonBody').innerHTML = results.horizons.map(row => `
+    <tr>
+      <td>${row.h} 期</td>
+      <td>${row.count}</td>
+      <td>${formatPercent(row.mape)}</td>
+      <td>${formatNumber(row.rmse)}</td>
+      <td>${formatSigned(row.bias)}</td>
+    </tr>
+  `).join('');
+  
+  document.getElementById('backtestOriginBody').innerHTML = results.origins.map(origin => {
+    const ci = origin.uncertainty ? origin.uncertainty.K : null;
+    return `
+      <tr>
+        <td>${results.periods[origin.cut - 1]}</td>
+        <td>${origin.cut}</td>
+        <td>${formatNumber(origin.params.K)}${origin.converged ? '' : ' ⚠️'}</td>
+        <td>${ci ? `[${formatNumber(ci.lower)}, ${formatNumber(ci.upper)}]` : 'N/A'}</td>
+        <td>${formatPercent(origin.mape)}</td>
+      </tr>
+    `;
+  }).join('');
+  
+  displayBacktestChart(results);
+}
+
+function displayBacktestChart(results) {
+  const ctx = document.getElementById('backtestChart').getContext('2d');
+  const palette = ['#ef4444', '#f59e0b', '#8b5cf6', '#ec4899', '#06b6d4', '#10b981'];
+  
+  // One forecast line per origin, joined to the fitted value at its last training point
+  const originDatasets = results.origins.map((origin, i) => {
+    const data = results.actual.map(() => null);
+    data[origin.cut - 1] = projectPath(results.model, origin.params, [results.times[origin.cut - 1]], [], 0, origin.churn)[0];
+    origin.forecasts.forEach(f => { data[f.index] = f.predicted; });
+    return {
+      label: `起點 ${results.periods[origin.cut - 1]}`,
+      data,
+      borderColor: palette[i % palette.length],
+      backgroundColor: 'transparent',
+      borderWidth: 2,
+      borderDash: [5, 5],
+      pointRadius: 3,
+      spanGaps: false
+    };
+  });
+  
+  if (backtestChart) backtestChart.destroy();
+  
+  backtestChart = new Chart(ctx, withTimeAxis({
+    type: 'line',
+    data: {
+      labels: results.periods,
+      datasets: [
+        {
+          label: '實際數據',
+          data: results.actual,
+          borderColor: '#3b82f6',
+          backgroundColor: 'rgba(59, 130, 246, 0.1)',
+          pointRadius: 4,
+          borderWidth: 2
+        },
+        ...originDatasets
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: true, position: 'top' },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              return context.dataset.label + ': ' + formatNumber(context.parsed.y);
+            }
+          }
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: { callback: function(value) { return formatNumber(value); } }
+        }
+      }
     }
-    
-    forecasts.conservative.push(conservative);
-    forecasts.moderate.push(moderate);
-    forecasts.aggressive.push(aggressive);
+  }, results.times.map(calendarYearAt)));
+}
+
+// A refit invalidates any previous backtest
+function clearBacktestResults() {
+  state.backtestResults = null;
+  document.getElementById('backtestStatus').style.display = 'none';
+  document.getElementById('backtestResults').style.display = 'none';
+  if (backtestChart) {
+    backtestChart.destroy();
+    backtestChart = null;
   }
-  
-  if (hasInvalidForecasts) {
-    console.warn('Some forecast values are invalid!');
-    alert('⚠️ 警告：某些預測值無效。請檢查結果表格中的紅色標記。');
+}
+
+// Step 2: Post-launch calibration (interrupted time series)
+// When an intervention already launched inside the history, the baseline is fitted on the pre-launch
+// rows only (buildFitOptions gives the post-launch rows weight 0); the baseline parameters are then held
+// fixed and the lever strengths are estimated from the post-launch actuals, with effect shapes and
+// starting values from the chosen preset. The interval of the actual-vs-counterfactual gap combines the
+// baseline parameter covariance (delta method) with the residual variance s².
+const CALIBRATION_LEVERS = { alpha: 'calibrateAlpha', delta_t: 'calibrateDeltaT', kappa: 'calibrateKappa' };
+const CALIBRATION_MIN_PRE_LAUNCH = 8; // same minimum as performFitting
+
+let calibrationChart = null;
+
+function isPostLaunch(row) {
+  const { launchT } = state.calibrationSettings;
+  return launchT !== null && row.t >= launchT;
+}
+
+// Launch options keep at least CALIBRATION_MIN_PRE_LAUNCH valid rows before the launch; a launch that
+// no longer exists after the data changed turns calibration off
+function populateCalibrationControls() {
+  const candidates = state.historicalData.filter(d => !d.isMissing).slice(CALIBRATION_MIN_PRE_LAUNCH);
+  const settings = state.calibrationSettings;
+  if (settings.launchT !== null && !candidates.some(row => row.t === settings.launchT)) {
+    settings.launchT = null;
   }
   
-  console.log('Forecast generation complete. Sample baseline:', forecasts.baseline.slice(0, 3));
-  console.log('Sample conservative:', forecasts.conservative.slice(0, 3));
+  const launchSelect = document.getElementById('calibrationLaunch');
+  launchSelect.innerHTML = '<option value="">不校準 (全部數據擬合基線)</option>' +
+    candidates.map(row => `<option value="${row.t}">${row.period}</option>`).join('');
+  launchSelect.value = settings.launchT === null ? '' : String(settings.launchT);
   
-  // Add confidence bands based on data quality
-  const dataQualityScore = state.dataQuality ? state.dataQuality.score : 100;
-  const uncertaintyPercent = dataQualityScore >= 95 ? 2 : dataQualityScore >= 80 ? 5 : 8;
+  const presetSelect = document.getElementById('calibrationPreset');
+  presetSelect.innerHTML = Object.entries(SCENARIO_PRESETS)
+    .map(([key, preset]) => `<option value="${key}">${preset.name}</option>`).join('');
+  presetSelect.value = settings.preset;
   
-  forecasts.uncertaintyPercent = uncertaintyPercent;
-  state.forecastData = forecasts;
+  Object.entries(CALIBRATION_LEVERS).forEach(([key, id]) => {
+    document.getElementById(id).checked = settings.levers.includes(key);
+  });
+}
+
+function applyCalibrationSettings() {
+  const rawLaunch = document.getElementById('calibrationLaunch').value;
+  const levers = Object.keys(CALIBRATION_LEVERS).filter(key => document.getElementById(CALIBRATION_LEVERS[key]).checked);
+  if (rawLaunch !== '' && levers.length === 0) {
+    alert('請至少選擇一個要估計的槓桿。');
+    return;
+  }
+  state.calibrationSettings = {
+    launchT: rawLaunch === '' ? null : parseFloat(rawLaunch),
+    preset: document.getElementById('calibrationPreset').value,
+    levers
+  };
+  performFitting();
+}
+
+// Estimate the chosen lever strengths from the post-launch rows (t ≥ launchT) with the baseline held fixed.
+// The intervention is applied with launch = 0 and baseOffset = launchT, i.e. it starts at the launch
+// period; levers that are not estimated stay at 0. Without baseline uncertainty the gap has no interval.
+function calibrateIntervention(modelKey, baselineParams, uncertainty, rows, settings) {
+  const { launchT, levers } = settings;
+  const presetParams = scalePresetTiming(SCENARIO_PRESETS[settings.preset].params, timingScale());
+  const effects = presetLeverEffects(presetParams);
+  const post = rows.filter(row => row.t >= launchT);
+  const tValues = post.map(row => row.t);
+  const yValues = post.map(row => row.accounts);
+  
+  const toIntervention = (arr) => {
+    const params = { alpha: 0, delta_t: 0, kappa: 0 };
+    levers.forEach((key, j) => { params[key] = arr[j]; });
+    return { launch: 0, params, effects };
+  };
+  // With a churn layer both the baseline and the intervention lose accounts at the baseline fit's rate
+  const modelFn = (t, arr) => projectPath(modelKey, baselineParams, [t], [toIntervention(arr)], launchT)[0];
   
-  goToStep(4);
-  displayForecastChart();
-  displayIncrementalChart();
-  displayForecastTable();
-  displaySummaryStats();
+  // Start from the preset strengths and from no effect, keep the lower SSE
+  const lmOptions = {
+    lower: levers.map(key => leverLimits(key).min),
+    upper: levers.map(key => leverLimits(key).max)
+  };
+  let best = null;
+  [levers.map(key => presetParams[key]), levers.map(() => 0)].forEach(start => {
+    const fit = levenbergMarquardt(modelFn, tValues, yValues, start, lmOptions);
+    if (isFinite(fit.sse) && (!best || fit.sse < best.sse)) best = fit;
+  });
+  if (!best) return null;
+  const estimate = estimateParameterUncertainty(modelFn, best.params, tValues, best.sse, 0.95, null, null, lmOptions);
+  
+  // Prediction variance of the counterfactual: gᵀΣg + s², g the gradient with respect to the baseline parameters
+  const keys = GROWTH_MODELS[modelKey].params.map(param => param.key);
+  const baselineFn = (t, arr) => projectPath(modelKey, Object.fromEntries(keys.map((key, j) => [key, arr[j]])), [t])[0];
+  const gradients = numericJacobian(baselineFn, keys.map(key => baselineParams[key]), tValues);
+  const counterfactuals = projectPath(modelKey, baselineParams, tValues);
+  const hasBand = Boolean(uncertainty && uncertainty.covariance);
+  const tCrit = hasBand ? studentTQuantile(0.975, uncertainty.df) : NaN;
+  
+  const points = post.map((row, i) => {
+    const counterfactual = counterfactuals[i];
+    let halfWidth = NaN;
+    if (hasBand) {
+      const g = gradients[i];
+      const variance = g.reduce((sum, ga, a) => sum + ga * g.reduce((inner, gc, c) => inner + uncertainty.covariance[a][c] * gc, 0), 0) +
+        uncertainty.residualVariance;
+      halfWidth = tCrit * Math.sqrt(Math.max(0, variance));
+    }
+    const gap = row.accounts - counterfactual;
+    return {
+      period: row.period,
+      t: row.t,
+      actual: row.accounts,
+      counterfactual,
+      gap,
+      halfWidth,
+      lower: gap - halfWidth,
+      upper: gap + halfWidth,
+      fitted: modelFn(row.t, best.params)
+    };
+  });
+  
+  return {
+    model: modelKey,
+    launchT,
+    launchPeriod: post[0].period,
+    preset: settings.preset,
+    levers,
+    params: toIntervention(best.params).params,
+    estimates: levers.map((key, j) => ({
+      key,
+      value: best.params[j],
+      se: estimate ? estimate.standardErrors[j] : NaN,
+      lower: estimate ? estimate.intervals[j][0] : NaN,
+      upper: estimate ? estimate.intervals[j][1] : NaN,
+      atBound: estimate ? estimate.atBound[j] : boundSide(best.params[j], lmOptions.lower[j], lmOptions.upper[j])
+    })),
+    // With baseline parameters on a fit bound gᵀΣg is only a local approximation, so the gap band is indicative
+    baselineAtBound: hasBand ? describeBoundActiveParams(modelKey, uncertainty) : '',
+    converged: best.converged,
+    rmse: Math.sqrt(points.reduce((sum, p) => sum + Math.pow(p.actual - p.fitted, 2), 0) / points.length),
+    points
+  };
 }
 
-function displayForecastChart() {
-  const ctx = document.getElementById('forecastChart').getContext('2d');
+// Recalibrate whenever the baseline parameters change (refit or model switch)
+function runCalibration() {
+  const statusEl = document.getElementById('calibrationStatus');
+  const resultsEl = document.getElementById('calibrationResults');
+  const settings = state.calibrationSettings;
+  state.calibration = null;
+  resultsEl.style.display = 'none';
+  if (settings.launchT === null || !state.fittedParams) {
+    statusEl.style.display = 'none';
+    return;
+  }
   
-  if (forecastChart) {
-    forecastChart.destroy();
+  statusEl.style.display = 'block';
+  const rows = state.historicalData.filter(d => !d.isMissing && !d.excludeFromFit);
+  const postCount = rows.filter(row => row.t >= settings.launchT).length;
+  if (postCount <= settings.levers.length) {
+    statusEl.textContent = `✘ 校準失敗：啟動後納入的數據點 (${postCount} 個) 需多於估計的槓桿數 (${settings.levers.length} 個)`;
+    statusEl.style.color = 'var(--color-error)';
+    return;
   }
   
-  // Filter out NaN values for charting
-  const filterNaN = (arr) => arr.map(v => isFinite(v) ? v : null);
+  const result = calibrateIntervention(state.selectedModel, state.fittedParams, state.parameterUncertainty, rows, settings);
+  if (!result) {
+    statusEl.textContent = '✘ 校準失敗：無法擬合介入強度';
+    statusEl.style.color = 'var(--color-error)';
+    return;
+  }
+  state.calibration = result;
+  
+  const last = result.points[result.points.length - 1];
+  const interval = isFinite(last.halfWidth)
+    ? `，95% 區間 [${formatSignedNumber(last.lower)}, ${formatSignedNumber(last.upper)}]`
+    : ' (無法估計基線參數的共變異數，無區間)';
+  const notes = calibrationBoundNotes(result);
+  const ok = result.converged && notes.length === 0;
+  statusEl.textContent = `${ok ? '✔' : '⚠️'} 以 ${result.launchPeriod} 起的 ${result.points.length} 個數據點校準` +
+    `${result.converged ? '' : ' (未收斂)'}；${last.period} 實際較反事實基線差距 ${formatSignedNumber(last.gap)}${interval}` +
+    notes.map(note => `；⚠️ ${note}`).join('');
+  statusEl.style.color = ok ? 'var(--color-success)' : 'var(--color-warning)';
+  
+  displayCalibrationResults(result);
+  resultsEl.style.display = 'block';
+}
+
+// Estimates keep decimals (formatLeverValue rounds percentages for the sliders)
+function formatCalibratedLever(key, value) {
+  const slider = SCENARIO_SLIDERS.find(s => s.key === key);
+  if (!isFinite(value)) return 'N/A';
+  return slider.percent ? `${(value * 100).toFixed(2)}%` : `${value.toFixed(3)}${slider.unit}`;
+}
+
+// Bound caveats for a calibration: levers on a LEVER_LIMITS bound (one-sided interval) and
+// baseline parameters on a fit bound (the gap band is indicative only)
+function calibrationBoundNotes(result) {
+  const notes = [];
+  const levers = result.estimates
+    .filter(estimate => estimate.atBound)
+    .map(estimate => `${SCENARIO_SLIDERS.find(s => s.key === estimate.key).label} = ${formatCalibratedLever(estimate.key, estimate.value)} 位於${BOUND_SIDE_LABELS[estimate.atBound]}`);
+  if (levers.length > 0) notes.push(`估計受槓桿邊界限制 (${levers.join('、')})，實際效應可能超出邊界，信賴區間為單側`);
+  if (result.baselineAtBound) notes.push(`基線參數受邊界限制 (${result.baselineAtBound})，差距區間僅供參考`);
+  return notes;
+}
+
+function displayCalibrationResults(result) {
+  document.getElementById('calibrationParamsBody').innerHTML = result.estimates.map(estimate => `
+    <tr>
+      <td>${SCENARIO_SLIDERS.find(s => s.key === estimate.key).label}</td>
+      <td>${formatCalibratedLever(estimate.key, estimate.value)}</td>
+      <td>${formatCalibratedLever(estimate.key, estimate.se)}</td>
+      <td>${isFinite(estimate.se) ? `[${formatCalibratedLever(estimate.key, estimate.lower)}, ${formatCalibratedLever(estimate.key, estimate.upper)}]` : 'N/A'}${estimate.atBound ? ` ⚠️ 位於${BOUND_SIDE_LABELS[estimate.atBound]}` : ''}</td>
+    </tr>
+  `).join('');
+  
+  document.getElementById('calibrationGapBody').innerHTML = result.points.map(point => `
+    <tr>
+      <td>${point.period}</td>
+      <td>${formatNumber(point.actual)}</td>
+      <td>${formatNumber(point.counterfactual)}</td>
+      <td>${formatSignedNumber(point.gap)}</td>
+      <td>${isFinite(point.halfWidth) ? `[${formatSignedNumber(point.lower)}, ${formatSignedNumber(point.upper)}]` : 'N/A'}</td>
+      <td>${formatNumber(point.fitted)}</td>
+    </tr>
+  `).join('');
+  
+  displayCalibrationChart(result);
+}
+
+function displayCalibrationChart(result) {
+  const ctx = document.getElementById('calibrationChart').getContext('2d');
+  const rows = state.historicalData;
+  const byT = new Map(result.points.map(point => [point.t, point]));
+  const postSeries = (value) => rows.map(d => byT.has(d.t) ? value(byT.get(d.t)) : null);
+  
+  const datasets = [
+    {
+      label: '實際數據',
+      data: rows.map(d => d.accounts),
+      borderColor: '#3b82f6',
+      backgroundColor: 'rgba(59, 130, 246, 0.1)',
+      pointRadius: 4,
+      borderWidth: 2
+    },
+    {
+      label: `反事實基線 (${GROWTH_MODELS[result.model].name})`,
+      data: projectPath(result.model, state.fittedParams, rows.map(d => d.t)),
+      borderColor: '#6b7280',
+      backgroundColor: 'transparent',
+      borderWidth: 2,
+      borderDash: [5, 5],
+      pointRadius: 0
+    },
+    {
+      label: '校準後擬合',
+      data: postSeries(point => point.fitted),
+      borderColor: '#8b5cf6',
+      backgroundColor: 'transparent',
+      borderWidth: 2,
+      pointRadius: 0
+    }
+  ];
+  
+  // Counterfactual 95% band (the upper edge fills to the next dataset, the lower edge)
+  if (result.points.some(point => isFinite(point.halfWidth))) {
+    datasets.push(
+      {
+        label: '反事實 95% 區間',
+        data: postSeries(point => point.counterfactual + point.halfWidth),
+        borderColor: 'transparent',
+        backgroundColor: 'rgba(107, 114, 128, 0.15)',
+        borderWidth: 0,
+        pointRadius: 0,
+        fill: '+1'
+      },
+      {
+        label: '反事實 95% 區間下緣',
+        data: postSeries(point => point.counterfactual - point.halfWidth),
+        borderColor: 'transparent',
+        backgroundColor: 'rgba(107, 114, 128, 0.15)',
+        borderWidth: 0,
+        pointRadius: 0,
+        fill: false,
+        hideInLegend: true
+      }
+    );
+  }
   
-  const launchIndex = state.platformLaunchQuarter - 1;
+  if (calibrationChart) calibrationChart.destroy();
   
-  forecastChart = new Chart(ctx, {
+  calibrationChart = new Chart(ctx, withTimeAxis({
     type: 'line',
     data: {
-      labels: state.forecastData.periods,
-      datasets: [
-        {
-          label: '基線',
-          data: filterNaN(state.forecastData.baseline),
-          borderColor: '#6b7280',
-          backgroundColor: 'transparent',
-          borderWidth: 2,
-          pointRadius: 0,
-          spanGaps: false
-        },
-        {
-          label: '保守型',
-          data: filterNaN(state.forecastData.conservative),
-          borderColor: '#3b82f6',
-          backgroundColor: 'transparent',
-          borderWidth: 2,
-          pointRadius: 0,
-          spanGaps: false
-        },
-        {
-          label: '穩健型',
-          data: filterNaN(state.forecastData.moderate),
-          borderColor: '#10b981',
-          backgroundColor: 'transparent',
-          borderWidth: 2,
-          pointRadius: 0,
-          spanGaps: false
-        },
-        {
-          label: '積極型',
-          data: filterNaN(state.forecastData.aggressive),
-          borderColor: '#ef4444',
-          backgroundColor: 'transparent',
-          borderWidth: 2,
-          pointRadius: 0,
-          spanGaps: false
-        }
-      ]
+      labels: rows.map(d => d.period),
+      datasets
     },
     options: {
       responsive: true,
@@ -1165,374 +3569,2713 @@ function displayForecastChart() {
       plugins: {
         legend: {
           display: true,
-          position: 'top'
+          position: 'top',
+          labels: {
+            filter: (item, data) => !data.datasets[item.datasetIndex].hideInLegend
+          }
         },
         tooltip: {
           callbacks: {
             label: function(context) {
-              const value = context.parsed.y;
-              if (value === null || !isFinite(value)) {
-                return context.dataset.label + ': N/A';
-              }
-              return context.dataset.label + ': ' + formatNumber(value);
+              return context.dataset.label + ': ' + formatNumber(context.parsed.y);
             }
           }
         }
       },
       scales: {
         y: {
-          beginAtZero: false,
-          ticks: {
-            callback: function(value) {
-              return formatNumber(value);
-            }
-          }
+          beginAtZero: true,
+          ticks: { callback: function(value) { return formatNumber(value); } }
         }
       }
     }
+  }, rows.map(d => calendarYearAt(d.t))));
+}
+
+// Add a scenario from the calibration: the launch is converted to the forecast axis (≤ 0, already live
+// in the history) with the estimated strengths; the bounds are widened so boundedInterventions keeps them.
+// In date mode launchT is off the integer grid, so it is rounded to the nearest period to stay editable
+// and loadable
+function addCalibratedScenario() {
+  const calibration = state.calibration;
+  if (!calibration) return;
+  const preset = SCENARIO_PRESETS[calibration.preset];
+  const intervention = createIntervention('platform', `已上線介入 (${calibration.launchPeriod} 校準)`,
+    Math.round(calibration.launchT - forecastBaseOffset()), preset);
+  intervention.params = { ...calibration.params };
+  
+  const bounds = defaultLeverBounds();
+  SCENARIO_SLIDERS.forEach(({ key }) => {
+    bounds[key].min = Math.min(bounds[key].min, intervention.params[key]);
+    bounds[key].max = Math.max(bounds[key].max, intervention.params[key]);
+  });
+  
+  scenarioCounter++;
+  state.scenarios.push({
+    id: `scenario_${scenarioCounter}`,
+    name: `校準 (${calibration.launchPeriod} 啟動)`,
+    color: nextScenarioColor(),
+    bounds,
+    interventions: [intervention]
+  });
+  renderScenarioPanels();
+}
+
+// Step 3: Scenario Configuration
+// Per-lever strength sliders, in the order of the Step 3 lever panels (shape parameters live in
+// EFFECT_SHAPES); the range is the scenario's lever bounds. Percent parameters are shown in % and
+// stored as fractions
+const SCENARIO_SLIDERS = [
+  { key: 'alpha', label: 'α (成長加速率)', unit: '%', step: 1, percent: true },
+  { key: 'delta_t', label: 'Δt (拐點前移)', unit: ' 期', step: 0.25, periods: true },
+  { key: 'kappa', label: 'κ (SAM 擴張)', unit: '%', step: 1, percent: true }
+];
+// Intervention parameters that can be given a Monte Carlo distribution: the lever strengths (samples are
+// limited to the scenario's lever bounds) and the effect timing parameters (applied to every effect
+// shape of the intervention that has them)
+const MONTE_CARLO_PARAMS = [
+  ...SCENARIO_SLIDERS,
+  { key: 'half_life', label: 'H (加速半衰期)', unit: ' 期', step: 0.5, timing: true, periods: true },
+  { key: 'peak_quarter', label: 'P (效應高峰)', unit: ' 期後', step: 0.5, timing: true, periods: true }
+];
+// Colours handed out to new scenarios in order, skipping ones already in use
+const SCENARIO_PALETTE = ['#3b82f6', '#10b981', '#ef4444', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#84cc16'];
+
+let scenarioCounter = 0;
+let interventionCounter = 0;
+
+function findScenario(id) {
+  return state.scenarios.find(scenario => scenario.id === id);
+}
+
+function findIntervention(scenarioId, interventionId) {
+  return findScenario(scenarioId).interventions.find(intervention => intervention.id === interventionId);
+}
+
+function nextScenarioColor() {
+  const used = new Set(state.scenarios.map(scenario => scenario.color));
+  return SCENARIO_PALETTE.find(color => !used.has(color)) || SCENARIO_PALETTE[state.scenarios.length % SCENARIO_PALETTE.length];
+}
+
+// Default per-lever effect shapes: every lever follows the preset's linear ramp and half-life decay
+function presetLeverEffects(presetParams) {
+  const { peak_quarter, half_life } = presetParams;
+  return {
+    alpha: { shape: 'linear', params: { peak_quarter, half_life } },
+    delta_t: { shape: 'linear', params: { peak_quarter, half_life } },
+    kappa: { shape: 'linear', params: { peak_quarter, half_life } }
+  };
+}
+
+// Periods per quarter: timings defined in quarters (presets, bounds, slider ranges) times this are
+// periods of the current granularity
+function timingScale() {
+  return periodsPerYear() / PERIOD_GRANULARITIES.quarter.perYear;
+}
+
+// Convert a period number (first forecast period = 1) to another granularity: the period holding the
+// start of the original one, e.g. quarter 3 -> month 7 or year 1
+function convertPeriodNumber(period, factor) {
+  return Math.floor((period - 1) * factor + 1e-9) + 1;
+}
+
+function defaultLaunchPeriod() {
+  return convertPeriodNumber(DEFAULT_LAUNCH_QUARTER, timingScale());
+}
+
+// Multiply the quarter-based timings of preset parameters (delta_t, half_life, peak_quarter) by scale
+function scalePresetTiming(presetParams, scale) {
+  const { delta_t, half_life, peak_quarter } = presetParams;
+  return { ...presetParams, delta_t: delta_t * scale, half_life: half_life * scale, peak_quarter: peak_quarter * scale };
+}
+
+// Copy of scenario bounds with the period-valued levers (delta_t) multiplied by factor
+function scaleLeverBounds(bounds, factor) {
+  const scaled = cloneBounds(bounds);
+  SCENARIO_SLIDERS.filter(slider => slider.periods).forEach(({ key }) => {
+    scaled[key] = { min: bounds[key].min * factor, max: bounds[key].max * factor };
+  });
+  return scaled;
+}
+
+function defaultLeverBounds() {
+  return scaleLeverBounds(DEFAULT_LEVER_BOUNDS, timingScale());
+}
+
+// Valid range of a lever's bounds, with delta_t converted to the data granularity
+function leverLimits(lever) {
+  const slider = SCENARIO_SLIDERS.find(s => s.key === lever);
+  const limits = LEVER_LIMITS[lever];
+  if (!slider.periods) return limits;
+  const scale = timingScale();
+  return { min: limits.min * scale, max: limits.max * scale };
+}
+
+// Shape parameter slider with its range and default converted to periods of the current granularity
+// (finer granularities keep the step, coarser ones shrink it in proportion)
+function scaledShapeParam(param) {
+  if (!param.periods) return param;
+  const scale = timingScale();
+  if (param.type === 'points') return { ...param, default: resamplePoints(param.default, scale) };
+  return { ...param, min: param.min * scale, max: param.max * scale, step: param.step * Math.min(1, scale), default: param.default * scale };
+}
+
+// Piecewise strengths converted to another granularity by interpolating the original line at the new periods
+function resamplePoints(points, factor) {
+  const length = Math.max(2, Math.round((points.length - 1) * factor) + 1);
+  return Array.from({ length }, (_, j) => Math.round(EFFECT_SHAPES.piecewise.evaluate(j / factor, { points }) * 100) / 100);
+}
+
+// scale is periods per quarter (the current granularity by default; the initial scenarios are built
+// before state exists and pass it explicitly)
+function createIntervention(id, name, launch, preset, scale = timingScale()) {
+  const presetParams = scalePresetTiming(preset.params, scale);
+  const { alpha, delta_t, kappa } = presetParams;
+  return { id, name, launch, marketing: 0, params: { alpha, delta_t, kappa }, effects: presetLeverEffects(presetParams), distributions: {} };
+}
+
+// When the data granularity changes, convert the period counts in the scenarios and cost schedule (launch
+// periods, delta_t and its bounds, effect timings, distributions, spend periods) by periods per year, so
+// the same scenarios describe the same calendar timing on monthly, weekly, quarterly or annual data
+function syncScenarioTiming() {
+  const factor = periodsPerYear() / PERIOD_GRANULARITIES[state.scenarioGranularity].perYear;
+  state.scenarioGranularity = state.granularity;
+  if (factor === 1) return;
+  const shapeParams = new Map(Object.values(EFFECT_SHAPES).flatMap(shape => shape.params)
+    .filter(param => param.periods).map(param => [param.key, param]));
+  const periodParams = MONTE_CARLO_PARAMS.filter(param => param.periods).map(param => param.key);
+  state.scenarios.forEach(scenario => {
+    scenario.bounds = scaleLeverBounds(scenario.bounds, factor);
+    scenario.interventions.forEach(intervention => {
+      intervention.launch = convertPeriodNumber(intervention.launch, factor);
+      intervention.params.delta_t *= factor;
+      Object.values(intervention.effects).forEach(effect => {
+        shapeParams.forEach(param => {
+          const value = effect.params[param.key];
+          if (value === undefined) return;
+          effect.params[param.key] = param.type === 'points' ? resamplePoints(value, factor) : value * factor;
+        });
+      });
+      periodParams.forEach(key => {
+        const dist = intervention.distributions[key];
+        if (dist) Object.keys(DISTRIBUTION_FIELD_LABELS).forEach(field => { if (isFinite(dist[field])) dist[field] *= factor; });
+      });
+    });
+  });
+  const { capex, opex } = state.costSchedule;
+  capex.forEach(tranche => { tranche.period = convertPeriodNumber(tranche.period, factor); });
+  opex.startPeriod = convertPeriodNumber(opex.startPeriod, factor);
+  renderScenarioPanels();
+  renderCostSchedule();
+}
+
+function cloneBounds(bounds) {
+  return Object.fromEntries(Object.entries(bounds).map(([lever, range]) => [lever, { ...range }]));
+}
+
+// Display form of a lever value, e.g. "-20%" or "1.5 期"
+function formatLeverValue(slider, value) {
+  return slider.percent ? `${Math.round(value * 100)}%` : `${value}${slider.unit}`;
+}
+
+// Copy of the scenario's interventions with parameters limited to its lever bounds,
+// plus a warning for every parameter that had to be limited
+function boundedInterventions(scenario) {
+  const warnings = [];
+  const interventions = cloneInterventions(scenario.interventions);
+  interventions.forEach(intervention => {
+    SCENARIO_SLIDERS.forEach(slider => {
+      const { min, max } = scenario.bounds[slider.key];
+      const value = intervention.params[slider.key];
+      const bounded = Math.min(max, Math.max(min, value));
+      if (bounded !== value) {
+        warnings.push(`「${scenario.name}」的「${intervention.name}」${slider.label} = ${formatLeverValue(slider, value)} 超出邊界 ` +
+          `[${formatLeverValue(slider, min)}, ${formatLeverValue(slider, max)}]，以 ${formatLeverValue(slider, bounded)} 計算`);
+        intervention.params[slider.key] = bounded;
+      }
+    });
   });
+  const lowestCapacity = 1 + interventions.reduce((sum, intervention) => sum + Math.min(0, intervention.params.kappa), 0);
+  if (lowestCapacity < MIN_CAPACITY_FACTOR) {
+    warnings.push(`「${scenario.name}」的負向 κ 合計 ${Math.round((lowestCapacity - 1) * 100)}%，K 最低保留基線的 ${MIN_CAPACITY_FACTOR * 100}%`);
+  }
+  return { interventions, warnings };
+}
+
+function cloneInterventions(interventions) {
+  return interventions.map(intervention => ({
+    ...intervention,
+    params: { ...intervention.params },
+    effects: Object.fromEntries(Object.entries(intervention.effects).map(([lever, effect]) => [lever, {
+      shape: effect.shape,
+      params: { ...effect.params, ...(effect.params.points ? { points: [...effect.params.points] } : {}) }
+    }])),
+    distributions: Object.fromEntries(Object.entries(intervention.distributions).map(([key, dist]) => [key, { ...dist }]))
+  }));
+}
+
+// Current value of a parameter, the centre a new distribution starts from; timing parameters come
+// from the first effect shape that has them (undefined when none does)
+function monteCarloParamValue(intervention, param) {
+  if (!param.timing) return intervention.params[param.key];
+  const effect = Object.values(intervention.effects).find(e => EFFECT_SHAPES[e.shape].params.some(p => p.key === param.key));
+  return effect ? effect.params[param.key] : undefined;
+}
+
+// Small-multiple chart of one lever: the curve is the effect strength (0-1),
+// the caption gives the lever value at strength 1
+function effectPreviewSvg(scenario, intervention, slider) {
+  const lever = slider.key;
+  const width = 150;
+  const height = 48;
+  const periods = EFFECT_PREVIEW_QUARTERS * timingScale();
+  const x = (tau) => (tau / periods * width).toFixed(1);
+  const y = (value) => (height - 4 - Math.max(0, Math.min(1, value)) * (height - 8)).toFixed(1);
+  const taus = Array.from({ length: Math.round(periods * 2) + 1 }, (_, i) => i / 2);
+  const line = taus.map(tau => `${x(tau)},${y(interventionEffect(tau, intervention.effects[lever]))}`).join(' ');
+  const peakLabel = formatLeverValue(slider, intervention.params[lever]);
+  const drawable = intervention.effects[lever].shape === 'piecewise';
+  
+  return `
+            <svg id="preview_${scenario.id}_${intervention.id}_${lever}" width="100%" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"
+                 style="background: var(--color-bg-1); border-radius: var(--radius-base);${drawable ? ' cursor: crosshair;' : ''}"
+                 ${drawable ? `onclick="drawEffectPoint(event, '${scenario.id}', '${intervention.id}', '${lever}')"` : ''}>
+              <polyline points="${line}" fill="none" stroke="${scenario.color}" stroke-width="2" vector-effect="non-scaling-stroke" />
+            </svg>
+            <div style="font-size: var(--font-size-xs); color: var(--color-text-secondary);">峰值 ${peakLabel}</div>`;
+}
+
+// Rebuild the Step 3 scenario cards from state.scenarios: one panel per intervention,
+// one column per lever with its strength, effect shape and small-multiple chart
+function renderScenarioPanels() {
+  const container = document.getElementById('scenariosContainer');
+  const presetOptions = Object.entries(SCENARIO_PRESETS)
+    .map(([key, preset]) => `<option value="${key}">${preset.name}</option>`).join('');
+  
+  const shapeOptions = (selected) => Object.entries(EFFECT_SHAPES)
+    .map(([key, shape]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${shape.name}</option>`).join('');
+  
+  const renderIntervention = (scenario, intervention) => {
+    const args = `'${scenario.id}', '${intervention.id}'`;
+    const renderSlider = (slider, sliderId, value, handlerArgs, onInput) => {
+      if (slider.type === 'points') {
+        return `
+              <div class="slider-group">
+                <label>${slider.label}</label>
+                <input type="text" class="form-control" id="${sliderId}" value="${value.join(', ')}"
+                       onchange="setEffectPoints(${handlerArgs}, this.value)">
+              </div>`;
+      }
+      const display = slider.percent ? Math.round(value * 100) : value;
+      return `
+              <div class="slider-group">
+                <label>${slider.label}: <span id="${sliderId}_val">${display}</span>${slider.unit}</label>
+                <input type="range" class="slider" id="${sliderId}" min="${slider.min}" max="${slider.max}" step="${slider.step}" value="${display}"
+                       oninput="${onInput}(${handlerArgs}, '${slider.key}', this.value)">
+              </div>`;
+    };
+    const renderLever = (slider) => {
+      const lever = slider.key;
+      const effect = intervention.effects[lever];
+      const leverArgs = `${args}, '${lever}'`;
+      const { min, max } = scenario.bounds[lever];
+      const scale = slider.percent ? 100 : 1;
+      const value = intervention.params[lever];
+      const bounded = Math.min(max, Math.max(min, value));
+      const boundWarning = bounded !== value
+        ? `
+              <div style="font-size: var(--font-size-xs); color: var(--color-warning); margin-bottom: var(--space-8);">⚠️ 超出邊界，以 ${formatLeverValue(slider, bounded)} 計算</div>`
+        : '';
+      const shapeSliders = EFFECT_SHAPES[effect.shape].params.map(scaledShapeParam)
+        .map(param => renderSlider(param, `${lever}_${param.key}_${scenario.id}_${intervention.id}`, effect.params[param.key], leverArgs, 'updateEffectParam'))
+        .join('');
+      return `
+            <div class="lever-effect">${renderSlider({ ...slider, min: min * scale, max: max * scale }, `${lever}_${scenario.id}_${intervention.id}`, value, args, 'updateInterventionParam')}${boundWarning}
+              <select class="form-control" style="margin-bottom: var(--space-8);" title="效應形狀" onchange="setInterventionShape(${leverArgs}, this.value)">${shapeOptions(effect.shape)}</select>${shapeSliders}
+              <div id="previewWrap_${scenario.id}_${intervention.id}_${lever}">${effectPreviewSvg(scenario, intervention, slider)}
+              </div>
+            </div>`;
+    };
+    
+    return `
+        <div class="intervention" style="border-left: 3px solid ${hexToRgba(scenario.color, 0.4)}; padding-left: var(--space-12); margin-top: var(--space-16);">
+          <div style="display: flex; align-items: center; gap: var(--space-8); flex-wrap: wrap;">
+            <input type="text" class="form-control" style="flex: 1; min-width: 120px;" value="${escapeHtml(intervention.name)}" title="介入名稱"
+                   onchange="renameIntervention(${args}, this.value)">
+            <label style="font-size: var(--font-size-sm);">啟動期 第</label>
+            <input type="number" class="form-control" style="width: 72px;" step="1" value="${intervention.launch}"
+                   onchange="setInterventionLaunch(${args}, this.value)">
+            <label style="font-size: var(--font-size-sm);">期，上線行銷</label>
+            <input type="number" class="form-control" style="width: 120px;" min="0" step="10000" value="${intervention.marketing}" title="啟動期的一次性行銷支出 (ROI 計入)"
+                   onchange="setInterventionMarketing(${args}, this.value)">
+          </div>
+          <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: var(--space-12); margin-top: var(--space-8);">${SCENARIO_SLIDERS.map(renderLever).join('')}
+          </div>
+          <div style="font-size: var(--font-size-sm); color: var(--color-text-secondary); margin-bottom: var(--space-8);">各槓桿效應強度 (啟動後 ${+(EFFECT_PREVIEW_QUARTERS * timingScale()).toFixed(1)} 期)</div>
+          ${renderDistributions(scenario, intervention)}
+          <div class="button-group">
+            <select class="form-control" style="width: auto;" onchange="loadInterventionPreset(${args}, this.value)">
+              <option value="">載入預設參數…</option>${presetOptions}
+            </select>
+            <button class="btn btn--sm btn--outline" onclick="removeIntervention(${args})" ${scenario.interventions.length <= 1 ? 'disabled title="至少需保留一個介入"' : ''}>移除介入</button>
+          </div>
+        </div>`;
+  };
+  
+  container.innerHTML = state.scenarios.map(scenario => `
+      <div class="scenario-card" data-scenario="${scenario.id}" style="border-top: 3px solid ${scenario.color};">
+        <h3 style="display: flex; align-items: center; gap: var(--space-8);">
+          <input type="color" value="${scenario.color}" title="情境顏色" onchange="recolorScenario('${scenario.id}', this.value)">
+          <input type="text" class="form-control" value="${escapeHtml(scenario.name)}" style="color: ${scenario.color}; font-weight: var(--font-weight-semibold);"
+                 onchange="renameScenario('${scenario.id}', this.value)">
+        </h3>
+        ${renderBounds(scenario)}
+        ${scenario.interventions.map(intervention => renderIntervention(scenario, intervention)).join('')}
+        <div class="button-group" style="margin-top: var(--space-16);">
+          <button class="btn btn--sm btn--secondary" onclick="addIntervention('${scenario.id}')">＋ 新增介入</button>
+          <button class="btn btn--sm btn--outline" onclick="cloneScenario('${scenario.id}')">複製</button>
+          <button class="btn btn--sm btn--outline" onclick="deleteScenario('${scenario.id}')" ${state.scenarios.length <= 1 ? 'disabled title="至少需保留一個情境"' : ''}>刪除</button>
+        </div>
+      </div>`).join('');
+}
+
+// Lever bounds editor of a scenario (percent parameters are entered in %)
+function renderBounds(scenario) {
+  const rows = SCENARIO_SLIDERS.map(slider => {
+    const scale = slider.percent ? 100 : 1;
+    const range = scenario.bounds[slider.key];
+    const input = (side) => `<input type="number" class="form-control" step="${slider.step}" value="${+(range[side] * scale).toFixed(4)}"
+                 onchange="setScenarioBound('${scenario.id}', '${slider.key}', '${side}', this.value)">`;
+    return `
+          <label style="font-size: var(--font-size-sm);">${slider.label}${slider.percent ? ' (%)' : ''}</label>
+          ${input('min')}
+          ${input('max')}`;
+  }).join('');
+  
+  return `<details style="margin-bottom: var(--space-8);">
+          <summary style="font-size: var(--font-size-sm); cursor: pointer;">槓桿邊界 (下限 / 上限，超出時以邊界值計算)</summary>
+          <div style="display: grid; grid-template-columns: auto 1fr 1fr; gap: var(--space-8); align-items: center; margin-top: var(--space-8);">${rows}
+          </div>
+        </details>`;
+}
+
+// Parameter distribution editor of an intervention, used by the Monte Carlo simulation (percent
+// parameters are entered in %; timing parameters are listed only when a current effect shape has them)
+function renderDistributions(scenario, intervention) {
+  const args = `'${scenario.id}', '${intervention.id}'`;
+  const typeOptions = (selected) => Object.entries(DISTRIBUTION_TYPES)
+    .map(([key, type]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${type.name}</option>`).join('');
+  const rows = MONTE_CARLO_PARAMS.filter(param => monteCarloParamValue(intervention, param) !== undefined).map(param => {
+    const dist = intervention.distributions[param.key];
+    const type = dist ? dist.type : 'fixed';
+    const scale = param.percent ? 100 : 1;
+    const fields = DISTRIBUTION_TYPES[type].fields.map(field => `
+            <label style="font-size: var(--font-size-xs);">${DISTRIBUTION_FIELD_LABELS[field]}</label>
+            <input type="number" class="form-control" style="width: 80px;" step="${param.step}" value="${+(dist[field] * scale).toFixed(4)}"
+                   onchange="setDistributionField(${args}, '${param.key}', '${field}', this.value)">`).join('');
+    return `
+          <label style="font-size: var(--font-size-sm);">${param.label}${param.percent ? ' (%)' : ''}</label>
+          <div style="display: flex; align-items: center; gap: var(--space-8); flex-wrap: wrap;">
+            <select class="form-control" style="width: auto;" onchange="setDistributionType(${args}, '${param.key}', this.value)">${typeOptions(type)}</select>${fields}
+          </div>`;
+  }).join('');
+  const count = Object.keys(intervention.distributions).length;
+  
+  return `<details style="margin-bottom: var(--space-8);"${count ? ' open' : ''}>
+          <summary style="font-size: var(--font-size-sm); cursor: pointer;">參數分布 (蒙地卡羅模擬用；未設定者固定為目前的值)${count ? `：已設定 ${count} 項` : ''}</summary>
+          <div style="display: grid; grid-template-columns: auto 1fr; gap: var(--space-8); align-items: center; margin-top: var(--space-8);">${rows}
+          </div>
+        </details>`;
+}
+
+// A new distribution is centred on the current value with a ±50% range (a fixed width when the value is 0)
+function setDistributionType(scenarioId, interventionId, key, type) {
+  const intervention = findIntervention(scenarioId, interventionId);
+  if (type === 'fixed') {
+    delete intervention.distributions[key];
+  } else {
+    const param = MONTE_CARLO_PARAMS.find(p => p.key === key);
+    const value = monteCarloParamValue(intervention, param);
+    const spread = Math.abs(value) * 0.5 || (param.percent ? 0.1 : 1);
+    intervention.distributions[key] = { type, min: value - spread, mode: value, max: value + spread, mean: value, sd: spread / 2 };
+  }
+  renderScenarioPanels();
+}
+
+function setDistributionField(scenarioId, interventionId, key, field, rawValue) {
+  const intervention = findIntervention(scenarioId, interventionId);
+  const param = MONTE_CARLO_PARAMS.find(p => p.key === key);
+  const value = parseFloat(rawValue) / (param.percent ? 100 : 1);
+  const next = { ...intervention.distributions[key], [field]: value };
+  
+  if (!isFinite(value)) {
+    alert(`${param.label} 的${DISTRIBUTION_FIELD_LABELS[field]}必須是數字`);
+  } else if (next.type !== 'normal' && next.min > next.max) {
+    alert(`${param.label} 的下限不可大於上限`);
+  } else if (next.type === 'triangular' && (next.mode < next.min || next.mode > next.max)) {
+    alert(`${param.label} 的最可能值必須介於下限與上限之間`);
+  } else if (next.sd < 0) {
+    alert(`${param.label} 的標準差不可為負`);
+  } else {
+    intervention.distributions[key] = next;
+  }
+  renderScenarioPanels();
+}
+
+// Bounds must lie within LEVER_LIMITS, with the lower bound not above the upper one
+function setScenarioBound(scenarioId, lever, side, rawValue) {
+  const slider = SCENARIO_SLIDERS.find(s => s.key === lever);
+  const scale = slider.percent ? 100 : 1;
+  const limits = leverLimits(lever);
+  const scenario = findScenario(scenarioId);
+  const value = parseFloat(rawValue) / scale;
+  const next = { ...scenario.bounds[lever], [side]: value };
+  
+  if (!isFinite(value) || value < limits.min || value > limits.max) {
+    alert(`${slider.label} 的邊界必須介於 ${formatLeverValue(slider, limits.min)} 與 ${formatLeverValue(slider, limits.max)} 之間`);
+  } else if (next.min > next.max) {
+    alert(`${slider.label} 的下限不可大於上限`);
+  } else {
+    scenario.bounds[lever] = next;
+  }
+  renderScenarioPanels();
+}
+
+function updateInterventionParam(scenarioId, interventionId, key, rawValue) {
+  const intervention = findIntervention(scenarioId, interventionId);
+  const slider = SCENARIO_SLIDERS.find(s => s.key === key);
+  const value = parseFloat(rawValue);
+  document.getElementById(`${key}_${scenarioId}_${interventionId}_val`).textContent = value;
+  intervention.params[key] = slider.percent ? value / 100 : value;
+  refreshEffectPreview(scenarioId, intervention, key);
+}
+
+function updateEffectParam(scenarioId, interventionId, lever, key, rawValue) {
+  const intervention = findIntervention(scenarioId, interventionId);
+  const value = parseFloat(rawValue);
+  document.getElementById(`${lever}_${key}_${scenarioId}_${interventionId}_val`).textContent = value;
+  intervention.effects[lever].params[key] = value;
+  refreshEffectPreview(scenarioId, intervention, lever);
+}
+
+function refreshEffectPreview(scenarioId, intervention, lever) {
+  const slider = SCENARIO_SLIDERS.find(s => s.key === lever);
+  document.getElementById(`previewWrap_${scenarioId}_${intervention.id}_${lever}`).innerHTML = effectPreviewSvg(findScenario(scenarioId), intervention, slider);
+}
+
+// Switch a lever's effect shape, filling in defaults for parameters the new shape has not used
+// yet (other shapes' parameters are kept so switching back restores them)
+function setInterventionShape(scenarioId, interventionId, lever, shapeKey) {
+  const effect = findIntervention(scenarioId, interventionId).effects[lever];
+  effect.shape = shapeKey;
+  EFFECT_SHAPES[shapeKey].params.map(scaledShapeParam).forEach(param => {
+    if (effect.params[param.key] === undefined) {
+      effect.params[param.key] = Array.isArray(param.default) ? [...param.default] : param.default;
+    }
+  });
+  renderScenarioPanels();
+}
+
+function setEffectPoints(scenarioId, interventionId, lever, text) {
+  const points = text.split(/[,\s]+/).filter(Boolean).map(Number);
+  if (points.length < 2 || points.some(v => !isFinite(v))) {
+    alert('請輸入至少兩個以逗號分隔的數字 (0–1)');
+  } else {
+    findIntervention(scenarioId, interventionId).effects[lever].params.points = points.map(v => Math.max(0, Math.min(1, v)));
+  }
+  renderScenarioPanels();
+}
+
+// Clicking a piecewise lever chart sets the nearest period to the clicked height,
+// extending the points with the last value when clicking past their end
+function drawEffectPoint(event, scenarioId, interventionId, lever) {
+  const svg = event.currentTarget;
+  const rect = svg.getBoundingClientRect();
+  const tau = Math.round((event.clientX - rect.left) / rect.width * EFFECT_PREVIEW_QUARTERS * timingScale());
+  const value = Math.max(0, Math.min(1, (rect.height - 4 - (event.clientY - rect.top)) / (rect.height - 8)));
+  const points = findIntervention(scenarioId, interventionId).effects[lever].params.points;
+  while (points.length <= tau) points.push(points[points.length - 1]);
+  points[tau] = Math.round(value * 100) / 100;
+  renderScenarioPanels();
+}
+
+function addScenario(presetKey) {
+  const preset = SCENARIO_PRESETS[presetKey];
+  scenarioCounter++;
+  state.scenarios.push({
+    id: `scenario_${scenarioCounter}`,
+    name: `${preset.name} ${state.scenarios.length + 1}`,
+    color: nextScenarioColor(),
+    bounds: defaultLeverBounds(),
+    interventions: [createIntervention('platform', DEFAULT_INTERVENTION_NAME, defaultLaunchPeriod(), preset)]
+  });
+  renderScenarioPanels();
+}
+
+function cloneScenario(id) {
+  const source = findScenario(id);
+  scenarioCounter++;
+  const index = state.scenarios.indexOf(source);
+  state.scenarios.splice(index + 1, 0, {
+    id: `scenario_${scenarioCounter}`,
+    name: `${source.name} (複製)`,
+    color: nextScenarioColor(),
+    bounds: cloneBounds(source.bounds),
+    interventions: cloneInterventions(source.interventions)
+  });
+  renderScenarioPanels();
+}
+
+function deleteScenario(id) {
+  if (state.scenarios.length <= 1) {
+    alert('至少需保留一個情境');
+    return;
+  }
+  const scenario = findScenario(id);
+  if (!confirm(`確定要刪除「${scenario.name}」情境嗎？`)) return;
+  state.scenarios = state.scenarios.filter(s => s.id !== id);
+  renderScenarioPanels();
+}
+
+function renameScenario(id, name) {
+  const trimmed = name.trim();
+  if (trimmed) {
+    findScenario(id).name = trimmed;
+  }
+  renderScenarioPanels();
+}
+
+function recolorScenario(id, color) {
+  findScenario(id).color = color;
+  renderScenarioPanels();
+}
+
+// A new intervention launches one year after the scenario's last one, with the moderate preset
+function addIntervention(scenarioId) {
+  const scenario = findScenario(scenarioId);
+  const lastLaunch = Math.max(...scenario.interventions.map(intervention => intervention.launch));
+  interventionCounter++;
+  scenario.interventions.push(createIntervention(
+    `intervention_${interventionCounter}`,
+    `介入 ${scenario.interventions.length + 1}`,
+    lastLaunch + periodsPerYear(),
+    SCENARIO_PRESETS.moderate
+  ));
+  renderScenarioPanels();
+}
+
+function removeIntervention(scenarioId, interventionId) {
+  const scenario = findScenario(scenarioId);
+  if (scenario.interventions.length <= 1) {
+    alert('每個情境至少需保留一個介入');
+    return;
+  }
+  scenario.interventions = scenario.interventions.filter(intervention => intervention.id !== interventionId);
+  renderScenarioPanels();
+}
+
+function renameIntervention(scenarioId, interventionId, name) {
+  const trimmed = name.trim();
+  if (trimmed) {
+    findIntervention(scenarioId, interventionId).name = trimmed;
+  }
+  renderScenarioPanels();
+}
+
+function setInterventionLaunch(scenarioId, interventionId, rawValue) {
+  // 0 or below means the intervention is already live in the history (e.g. a calibrated scenario)
+  const launch = parseInt(rawValue);
+  if (Number.isFinite(launch)) {
+    findIntervention(scenarioId, interventionId).launch = launch;
+  } else {
+    alert('啟動期必須是整數 (預測第一期 = 1，0 或負數為已上線的歷史期間)');
+  }
+  renderScenarioPanels();
+}
+
+function setInterventionMarketing(scenarioId, interventionId, rawValue) {
+  const marketing = parseFloat(rawValue);
+  if (marketing >= 0) {
+    findIntervention(scenarioId, interventionId).marketing = marketing;
+  } else {
+    alert('上線行銷支出必須是大於或等於 0 的數字');
+  }
+  renderScenarioPanels();
+}
+
+function loadInterventionPreset(scenarioId, interventionId, presetKey) {
+  const preset = SCENARIO_PRESETS[presetKey];
+  if (!preset) return;
+  const intervention = findIntervention(scenarioId, interventionId);
+  const { params, effects } = createIntervention(intervention.id, intervention.name, intervention.launch, preset);
+  Object.assign(intervention, { params, effects });
+  renderScenarioPanels();
+}
+
+// Step 4: Results & Analysis
+function generateForecasts() {
+  const forecastYears = parseInt(document.getElementById('forecastYears').value);
+  const forecastQuarters = forecastYears * periodsPerYear(); // horizon in periods of the data granularity
+  
+  console.log('Generating forecasts for', forecastQuarters, 'periods (' + state.granularity + ')...');
+  console.log('Using fitted params:', state.selectedModel, state.fittedParams);
+  
+  // Forecasts run on the regular grid: t = baseOffset, baseOffset + 1, ...
+  const baseOffset = forecastBaseOffset();
+  const forecastPeriods = Array.from({ length: forecastQuarters }, (_, i) => periodLabelAt(baseOffset + i));
+  
+  // Snapshot of the scenarios, so editing them in Step 3 afterwards leaves these results alone;
+  // intervention parameters are limited to the scenario's bounds (warnings lists the limited ones)
+  const scenarios = state.scenarios.map(scenario => {
+    const { interventions, warnings } = boundedInterventions(scenario);
+    return {
+      id: scenario.id,
+      name: scenario.name,
+      color: scenario.color,
+      bounds: cloneBounds(scenario.bounds),
+      interventions,
+      warnings,
+      values: []
+    };
+  });
+  const forecasts = {
+    periods: forecastPeriods,
+    model: state.selectedModel,
+    baseline: [],
+    scenarios
+  };
+  
+  let hasInvalidForecasts = false;
+  const paths = projectForecastPaths(state.selectedModel, state.fittedParams, baseOffset, forecastQuarters, scenarios);
+  
+  for (let i = 0; i < forecastQuarters; i++) {
+    const t = baseOffset + i;
+    const baseline = paths.baseline[i];
+    
+    if (!isFinite(baseline)) {
+      console.error('Invalid baseline at t=' + t);
+      hasInvalidForecasts = true;
+      forecasts.baseline.push(NaN);
+      scenarios.forEach(scenario => scenario.values.push(NaN));
+      continue;
+    }
+    
+    forecasts.baseline.push(baseline);
+    
+    if (scenarios.some(scenario => !isFinite(paths[scenario.id][i]))) {
+      console.error('Invalid intervention result at t=' + t);
+      hasInvalidForecasts = true;
+    }
+    
+    scenarios.forEach(scenario => scenario.values.push(paths[scenario.id][i]));
+  }
+  
+  // Per-period additions (differences of the cumulative paths), reported next to the
+  // stock in flow mode; the first period is measured from the fitted last historical point
+  const start = projectPath(state.selectedModel, state.fittedParams, [baseOffset - 1])[0];
+  const toFlows = (values) => values.map((v, i) => v - (i > 0 ? values[i - 1] : start));
+  forecasts.baselineFlows = toFlows(forecasts.baseline);
+  // Cumulative gross adds before churn (the cumulative values without a churn layer), used for acquisition cost
+  forecasts.baselineGross = paths.gross.baseline;
+  scenarios.forEach(scenario => {
+    scenario.grossValues = paths.gross[scenario.id];
+    scenario.flows = toFlows(scenario.values);
+    // Contribution of each intervention to the scenario's gap, for the attribution view
+    scenario.attribution = attributeInterventions(state.selectedModel, state.fittedParams, baseOffset, forecastQuarters, scenario.interventions);
+  });
+  
+  if (hasInvalidForecasts) {
+    console.warn('Some forecast values are invalid!');
+    alert('⚠️ 警告：某些預測值無效。請檢查結果表格中的紅色標記。');
+  }
+  
+  console.log('Forecast generation complete. Sample baseline:', forecasts.baseline.slice(0, 3));
+  scenarios.forEach(scenario => console.log(`Sample ${scenario.name}:`, scenario.values.slice(0, 3)));
+  
+  // Prediction bands come from the residual bootstrap once it finishes
+  forecasts.bands = null;
+  forecasts.uncertaintyPercent = null;
+  state.forecastData = forecasts;
+  
+  goToStep(4);
+  displayBoundWarnings();
+  displayForecastChart();
+  displayIncrementalChart();
+  displayForecastTable();
+  displaySummaryStats();
+  resetMonteCarlo();
+  resetSensitivity();
+  populateSensitivityControls();
+  resetGoalSeek();
+  populateGoalSeekControls();
+  startForecastBootstrap();
+}
+
+// List the intervention parameters limited by their scenario's bounds (hidden when there are none)
+function displayBoundWarnings() {
+  const warnings = state.forecastData.scenarios.flatMap(scenario => scenario.warnings);
+  document.getElementById('boundWarningsCard').style.display = warnings.length ? 'block' : 'none';
+  document.getElementById('boundWarningsList').innerHTML = warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('');
+}
+
+// Cumulative baseline and scenario paths for one set of baseline parameters, keyed by 'baseline' and scenario id.
+// With a churn layer the paths are active accounts and paths.gross holds cumulative gross adds before churn
+function projectForecastPaths(modelKey, params, baseOffset, numQuarters, scenarios, churn = state.churn) {
+  const ts = Array.from({ length: numQuarters }, (_, i) => baseOffset + i);
+  const project = (interventions, pathChurn) => projectPath(modelKey, params, ts, interventions, baseOffset, pathChurn);
+  const paths = { baseline: project([], churn), gross: {} };
+  scenarios.forEach(scenario => { paths[scenario.id] = project(scenario.interventions, churn); });
+  
+  paths.gross.baseline = churn ? project([], null) : paths.baseline;
+  scenarios.forEach(scenario => {
+    paths.gross[scenario.id] = churn ? project(scenario.interventions, null) : paths[scenario.id];
+  });
+  return paths;
+}
+
+// Baseline followed by the scenarios; the order used by the table, exports and bands
+function forecastSeriesList(forecastData) {
+  return [
+    { id: 'baseline', name: '基線', color: BASELINE_COLOR, values: forecastData.baseline, flows: forecastData.baselineFlows },
+    ...forecastData.scenarios
+  ];
+}
+
+// Scenario minus baseline per period (NaN where either is invalid)
+function scenarioGaps(forecastData, scenario) {
+  return scenario.values.map((v, i) => {
+    const baseline = forecastData.baseline[i];
+    return isFinite(v) && isFinite(baseline) ? v - baseline : NaN;
+  });
+}
+
+// Bootstrap prediction bands
+const BOOTSTRAP_PERCENTILES = [10, 50, 90];
+const BOOTSTRAP_CHUNK_SIZE = 20;
+const BOOTSTRAP_MIN_SUCCESS = 10;
+
+// Linearly interpolated percentile of a sorted array
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return NaN;
+  const rank = (p / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+}
+
+/**
+ * Residual bootstrap: y* = ŷ + resampled residuals (from fitted points only), refitted with LM
+ * from the original parameters using the same loss and weights (fitOptions).
+ * Runs in setTimeout chunks so the page stays responsive; reports onProgress(done, total)
+ * and finishes with onComplete(paramSets, residuals). Returns a cancel function.
+ */
+function runResidualBootstrap(modelKey, data, params, fitOptions, numResamples, onProgress, onComplete) {
+  const fitted = projectPath(modelKey, params, fitOptions.times, [], 0, fitOptions.churn);
+  const residuals = data.map((y, i) => y - fitted[i]).filter((r, i) => isFinite(r) && fitOptions.weights[i] > 0);
+  const paramSets = [];
+  let done = 0;
+  let cancelled = false;
+  
+  function runChunk() {
+    if (cancelled) return;
+    
+    const end = Math.min(numResamples, done + BOOTSTRAP_CHUNK_SIZE);
+    for (; done < end; done++) {
+      const resample = fitted.map(y => Math.max(0, y + residuals[Math.floor(Math.random() * residuals.length)]));
+      const result = fitGrowthModel(modelKey, resample, { ...fitOptions, startParams: params });
+      if (result && result.convergence.converged) {
+        paramSets.push(result.params);
+      }
+    }
+    
+    onProgress(done, numResamples);
+    if (done < numResamples) {
+      setTimeout(runChunk, 0);
+    } else {
+      onComplete(paramSets, residuals);
+    }
+  }
+  
+  setTimeout(runChunk, 0);
+  return () => { cancelled = true; };
+}
+
+// One path per resampled parameter set plus a resampled residual per period (observation noise),
+// so the bands cover both parameter uncertainty and period-to-period scatter
+function computeForecastBands(modelKey, paramSets, residuals, baseOffset, numQuarters, scenarios) {
+  const series = ['baseline', ...scenarios.map(scenario => scenario.id)];
+  const samples = {};
+  series.forEach(s => {
+    samples[s] = Array.from({ length: numQuarters }, () => []);
+  });
+  
+  paramSets.forEach(params => {
+    const paths = projectForecastPaths(modelKey, params, baseOffset, numQuarters, scenarios);
+    for (let i = 0; i < numQuarters; i++) {
+      // Same noise draw for every scenario in a period keeps their relative ordering
+      const noise = residuals[Math.floor(Math.random() * residuals.length)];
+      series.forEach(s => {
+        const v = paths[s][i] + noise;
+        if (isFinite(v)) samples[s][i].push(Math.max(0, v));
+      });
+    }
+  });
+  
+  const bands = {};
+  series.forEach(s => {
+    bands[s] = {};
+    BOOTSTRAP_PERCENTILES.forEach(p => {
+      bands[s]['p' + p] = samples[s].map(values => percentile(values.sort((a, b) => a - b), p));
+    });
+  });
+  return bands;
+}
+
+function startForecastBootstrap() {
+  if (cancelBootstrap) {
+    cancelBootstrap();
+    cancelBootstrap = null;
+  }
+  
+  const forecastData = state.forecastData;
+  const numResamples = parseInt(document.getElementById('bootstrapResamples').value) || 0;
+  const progressEl = document.getElementById('bootstrapProgress');
+  const progressFill = document.getElementById('bootstrapProgressFill');
+  const progressText = document.getElementById('bootstrapProgressText');
+  
+  if (numResamples <= 0) {
+    progressEl.style.display = 'none';
+    return;
+  }
+  
+  const validRows = state.historicalData.filter(d => !d.isMissing);
+  const accounts = validRows.map(d => d.accounts);
+  const baseOffset = forecastBaseOffset();
+  const numQuarters = forecastData.periods.length;
+  
+  progressEl.style.display = 'block';
+  progressFill.style.width = '0%';
+  progressText.textContent = '正在計算預測區間 (0/' + numResamples + ')...';
+  
+  cancelBootstrap = runResidualBootstrap(forecastData.model, accounts, { ...state.fittedParams }, buildFitOptions(validRows), numResamples,
+    (done, total) => {
+      progressFill.style.width = (done / total * 100).toFixed(0) + '%';
+      progressText.textContent = '正在計算預測區間 (' + done + '/' + total + ')...';
+    },
+    (paramSets, residuals) => {
+      cancelBootstrap = null;
+      
+      if (paramSets.length < BOOTSTRAP_MIN_SUCCESS) {
+        progressText.textContent = '⚠️ 僅 ' + paramSets.length + '/' + numResamples + ' 次重抽樣收斂，無法建立預測區間';
+        return;
+      }
+      
+      const bands = computeForecastBands(forecastData.model, paramSets, residuals, baseOffset, numQuarters, forecastData.scenarios);
+      const last = numQuarters - 1;
+      forecastData.bands = bands;
+      forecastData.bootstrap = { requested: numResamples, successful: paramSets.length };
+      forecastData.uncertaintyPercent = Math.round((bands.baseline.p90[last] - bands.baseline.p10[last]) / 2 / bands.baseline.p50[last] * 100);
+      progressText.textContent = '✓ 預測區間完成：' + paramSets.length + '/' + numResamples + ' 次重抽樣收斂 (P10 / P50 / P90)';
+      
+      // Only redraw if these forecasts are still the ones on screen
+      if (state.forecastData === forecastData) {
+        displayForecastChart();
+        displayForecastTable();
+        displaySummaryStats();
+      }
+    }
+  );
+}
+
+function displayForecastChart() {
+  const ctx = document.getElementById('forecastChart').getContext('2d');
+  
+  if (forecastChart) {
+    forecastChart.destroy();
+  }
+  
+  // Filter out NaN values for charting
+  const filterNaN = (arr) => arr.map(v => isFinite(v) ? v : null);
+  
+  // Bootstrap P10–P90 shading: the upper edge fills down to the next dataset (the lower edge)
+  const bandDatasets = [];
+  if (state.forecastData.bands) {
+    forecastSeriesList(state.forecastData).forEach(series => {
+      const band = state.forecastData.bands[series.id];
+      const color = series.id === 'baseline' ? 'rgba(107, 114, 128, 0.15)' : hexToRgba(series.color, 0.12);
+      bandDatasets.push(
+        {
+          label: series.name + ' P90',
+          data: filterNaN(band.p90),
+          borderColor: 'transparent',
+          backgroundColor: color,
+          borderWidth: 0,
+          pointRadius: 0,
+          fill: '+1'
+        },
+        {
+          label: series.name + ' P10',
+          data: filterNaN(band.p10),
+          borderColor: 'transparent',
+          backgroundColor: color,
+          borderWidth: 0,
+          pointRadius: 0,
+          fill: false,
+          hideInLegend: true
+        }
+      );
+    });
+  }
+  
+  forecastChart = new Chart(ctx, withTimeAxis({
+    type: 'line',
+    data: {
+      labels: state.forecastData.periods,
+      datasets: [
+        {
+          label: '基線',
+          data: filterNaN(state.forecastData.baseline),
+          borderColor: '#6b7280',
+          backgroundColor: 'transparent',
+          borderWidth: 2,
+          pointRadius: 0,
+          spanGaps: false
+        },
+        ...state.forecastData.scenarios.map(scenario => ({
+          label: scenario.name,
+          data: filterNaN(scenario.values),
+          borderColor: scenario.color,
+          backgroundColor: 'transparent',
+          borderWidth: 2,
+          pointRadius: 0,
+          spanGaps: false
+        })),
+        ...bandDatasets
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: true,
+          position: 'top',
+          labels: {
+            filter: (item, data) => !data.datasets[item.datasetIndex].hideInLegend
+          }
+        },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              const value = context.parsed.y;
+              if (value === null || !isFinite(value)) {
+                return context.dataset.label + ': N/A';
+              }
+              return context.dataset.label + ': ' + formatNumber(value);
+            }
+          }
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: false,
+          ticks: {
+            callback: function(value) {
+              return formatNumber(value);
+            }
+          }
+        }
+      }
+    }
+  }, state.forecastData.periods.map((_, i) => calendarYearAt(forecastBaseOffset() + i))));
+}
+
+function displayIncrementalChart() {
+  const ctx = document.getElementById('incrementalChart').getContext('2d');
+  
+  const toChart = (values) => values.map(v => isFinite(v) ? v : null);
+  const scenarios = state.forecastData.scenarios;
+  
+  // View: all scenarios side by side, or one scenario's gap split by intervention
+  // (keeps the selection across regenerated forecasts while the scenario still exists)
+  const viewSelect = document.getElementById('attributionScenario');
+  const attributed = scenarios.find(scenario => scenario.id === viewSelect.value);
+  viewSelect.innerHTML = '<option value="">各情境比較</option>' + scenarios
+    .map(scenario => `<option value="${scenario.id}">${escapeHtml(scenario.name)}：各介入貢獻</option>`).join('');
+  viewSelect.value = attributed ? attributed.id : '';
+  
+  const barDatasets = attributed
+    ? attributed.attribution.map((contribution, k) => {
+        const color = SCENARIO_PALETTE[k % SCENARIO_PALETTE.length];
+        return {
+          label: `${contribution.name}增量`,
+          data: toChart(contribution.values),
+          backgroundColor: hexToRgba(color, 0.6),
+          borderColor: color,
+          borderWidth: 1
+        };
+      })
+    : scenarios.map(scenario => ({
+        label: `${scenario.name}增量`,
+        data: toChart(scenarioGaps(state.forecastData, scenario)),
+        backgroundColor: hexToRgba(scenario.color, 0.6),
+        borderColor: scenario.color,
+        borderWidth: 1
+      }));
+  
+  // Flow mode: per-period additions of the baseline and each scenario as lines on the right axis
+  const showFlows = state.inputMode === 'flow' && !attributed;
+  const flowDatasets = showFlows
+    ? forecastSeriesList(state.forecastData).map(series => ({
+        type: 'line',
+        label: `${series.name}每期${flowLabel()}`,
+        data: toChart(series.flows),
+        borderColor: series.color,
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        borderDash: series.id === 'baseline' ? [5, 5] : [],
+        pointRadius: 0,
+        yAxisID: 'y1'
+      }))
+    : [];
+  
+  if (incrementalChart) {
+    incrementalChart.destroy();
+  }
+  
+  incrementalChart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: state.forecastData.periods,
+      datasets: [
+        ...barDatasets,
+        ...flowDatasets
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: true,
+          position: 'top'
+        },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              const value = context.parsed.y;
+              if (value === null || !isFinite(value)) {
+                return context.dataset.label + ': N/A';
+              }
+              return context.dataset.label + ': ' + formatSignedNumber(value);
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          stacked: Boolean(attributed)
+        },
+        y: {
+          stacked: Boolean(attributed),
+          beginAtZero: true,
+          ticks: {
+            callback: function(value) {
+              return formatSignedNumber(value);
+            }
+          }
+        },
+        y1: {
+          display: showFlows,
+          position: 'right',
+          beginAtZero: true,
+          grid: { drawOnChartArea: false },
+          title: { display: true, text: `每期${flowLabel()}` },
+          ticks: {
+            callback: function(value) {
+              return formatNumber(value);
+            }
+          }
+        }
+      }
+    }
+  });
+}
+
+function displayForecastTable() {
+  const tbody = document.querySelector('#forecastTable tbody');
+  const thead = document.querySelector('#forecastTable thead');
+  const bands = state.forecastData.bands;
+  tbody.innerHTML = '';
+  const scenarios = state.forecastData.scenarios;
+  const seriesList = forecastSeriesList(state.forecastData);
+  // Flow mode: extra columns with the per-period additions of each series
+  const flowSeries = state.inputMode === 'flow' ? seriesList : [];
+  
+  thead.innerHTML = `
+    <tr>
+      <th>期間</th>
+      <th>基線</th>
+      ${scenarios.map(scenario => `<th>${escapeHtml(scenario.name)}</th><th>${escapeHtml(scenario.name)}增量</th>`).join('')}
+      ${flowSeries.map(series => `<th>${escapeHtml(series.name)}每期${flowLabel()}</th>`).join('')}
+      ${bands ? seriesList.map(series => `<th>${escapeHtml(series.name)} P50 (P10–P90)</th>`).join('') : ''}
+    </tr>
+  `;
+  
+  const n = state.forecastData.periods.length;
+  let hasInvalidValues = false;
+  
+  for (let i = 0; i < n; i++) {
+    const tr = document.createElement('tr');
+    
+    const baseline = state.forecastData.baseline[i];
+    
+    // Check for invalid values
+    if (!isFinite(baseline) || scenarios.some(scenario => !isFinite(scenario.values[i]))) {
+      hasInvalidValues = true;
+    }
+    
+    // Format with validation
+    const formatSafe = (val) => {
+      if (!isFinite(val)) {
+        return '<span style="color: var(--color-error); font-weight: bold;">❌ NaN</span>';
+      }
+      if (val < 0) {
+        return '<span style="color: var(--color-warning);">' + formatNumber(0) + '</span>';
+      }
+      return formatNumber(val);
+    };
+    
+    tr.innerHTML = `
+      <td>${state.forecastData.periods[i]}</td>
+      <td>${formatSafe(baseline)}</td>
+      ${scenarios.map(scenario => formatScenarioCells(scenario.values[i], baseline)).join('')}
+      ${flowSeries.map(series => `<td>${formatSafe(series.flows[i])}</td>`).join('')}
+      ${bands ? seriesList.map(series => formatBandCell(bands[series.id], i)).join('') : ''}
+    `;
+    
+    tbody.appendChild(tr);
+  }
+  
+  // Show warning if invalid values detected
+  if (hasInvalidValues) {
+    const warningDiv = document.createElement('div');
+    warningDiv.style.cssText = 'color: var(--color-error); background: rgba(var(--color-error-rgb), 0.1); padding: var(--space-12); border-radius: var(--radius-base); margin-top: var(--space-16);';
+    warningDiv.innerHTML = '❌ <strong>警告：</strong>某些預測值無效 (NaN)。請檢查擬合參數和介入參數設定。';
+    tbody.parentElement.parentElement.appendChild(warningDiv);
+  }
+}
+
+// Scenario level and its gap to the baseline; downside scenarios are shown below the baseline in red
+function formatScenarioCells(value, baseline) {
+  if (!isFinite(value) || !isFinite(baseline)) {
+    return '<td><span style="color: var(--color-error); font-weight: bold;">❌ NaN</span></td><td>N/A</td>';
+  }
+  const style = value < baseline ? ' style="color: var(--color-error);"' : '';
+  return `<td${style}>${formatNumber(value)}</td><td${style}>${formatSignedNumber(value - baseline)}</td>`;
+}
+
+function formatBandCell(band, i) {
+  const fmt = (v) => isFinite(v) ? formatNumber(v) : 'N/A';
+  return '<td>' + fmt(band.p50[i]) + '<br><span style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">' +
+    fmt(band.p10[i]) + ' – ' + fmt(band.p90[i]) + '</span></td>';
+}
+
+function displaySummaryStats() {
+  const statsDiv = document.getElementById('summaryStats');
+  
+  // Add data quality warning if applicable
+  if (state.dataQuality && state.dataQuality.score < 80) {
+    const warningDiv = document.createElement('div');
+    warningDiv.style.cssText = 'grid-column: 1 / -1; background: rgba(var(--color-warning-rgb), 0.1); padding: var(--space-16); border-radius: var(--radius-base); border: 1px solid var(--color-warning); margin-bottom: var(--space-16);';
+    warningDiv.innerHTML = `
+      <strong>⚠️ 數據品質警告</strong><br>
+      <span style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">
+        基線數據品質分數為 ${state.dataQuality.score}/100。
+        ${state.forecastData.uncertaintyPercent !== null ? '期末預測區間 (P10–P90) 約為 ±' + state.forecastData.uncertaintyPercent + '%。' : ''}
+        ${state.dataQuality.missingCount > 0 ? '包含 ' + state.dataQuality.missingCount + ' 個插值數據點。' : ''}
+        請在報告中標明數據限制。
+      </span>
+    `;
+    statsDiv.appendChild(warningDiv);
+  }
+  
+  // Safe reduction that handles NaN values
+  const safeSum = (arr) => {
+    return arr.reduce((sum, v) => {
+      if (isFinite(v)) {
+        return sum + v;
+      }
+      return sum;
+    }, 0);
+  };
+  
+  const safeMax = (arr) => {
+    const validValues = arr.filter(v => isFinite(v));
+    return validValues.length > 0 ? Math.max(...validValues) : 0;
+  };
+  
+  statsDiv.innerHTML = state.forecastData.scenarios.map(scenario => {
+    const gaps = scenarioGaps(state.forecastData, scenario).map(v => isFinite(v) ? v : 0);
+    return `
+    <div class="summary-card" style="border-top: 3px solid ${scenario.color};">
+      <h4>${escapeHtml(scenario.name)}情境</h4>
+      <div class="summary-value">${formatSignedNumber(safeSum(gaps))}</div>
+      <div class="summary-label">總增量帳戶</div>
+      <div class="summary-value" style="font-size: var(--font-size-xl); margin-top: var(--space-8);">${formatSignedNumber(safeMax(gaps))}</div>
+      <div class="summary-label">峰值單期增量</div>
+    </div>`;
+  }).join('');
+}
+
+// The sensitivity analysis varies each of these; ramp periods are an integer and ARPA growth may be
+// negative (±X% of a zero base is no change), so they are left out
+const ROI_INPUT_LABELS = {
+  acquisitionCost: '獲客成本',
+  revenuePerAccount: '每帳戶每年收入',
+  grossMargin: '毛利率 (%)',
+  discountRate: '年折現率 (%)'
+};
+const ROI_PERCENT_INPUTS = ['grossMargin', 'discountRate'];
+const IRR_ITERATIONS = 100;
+const LTV_MAX_YEARS = 50; // age limit when summing LTV (long tail at low churn rates)
+const LTV_MIN_SURVIVAL = 1e-6;
+// Opex fields of the cost schedule (state.costSchedule.opex key → input and validation); money fields enter the sensitivity analysis
+const OPEX_FIELDS = {
+  startPeriod: { id: 'opexStartPeriod', label: '營運成本開始期', min: 1, integer: true },
+  annual: { id: 'opexAnnual', label: '每年固定營運成本', min: 0, money: true },
+  perAccount: { id: 'opexPerAccount', label: '每個增量帳戶每年營運成本', min: 0, money: true },
+  stepAccounts: { id: 'opexStepAccounts', label: '級距帳戶數', min: 0, integer: true },
+  stepCost: { id: 'opexStepCost', label: '每個級距增加的每年營運成本', min: 0, money: true }
+};
+
+function cloneCostSchedule(costs) {
+  return { capex: costs.capex.map(tranche => ({ ...tranche })), opex: { ...costs.opex } };
+}
+
+// Redraw the cost schedule editor (capex tranche table and opex fields) from state.costSchedule
+function renderCostSchedule() {
+  const { capex, opex } = state.costSchedule;
+  document.getElementById('capexTableBody').innerHTML = capex.length
+    ? capex.map((tranche, index) => `
+      <tr>
+        <td><input type="number" class="form-control" style="width: 96px;" min="1" step="1" value="${tranche.period}"
+                   onchange="updateCapexTranche(${index}, 'period', this.value)"></td>
+        <td><input type="number" class="form-control" min="0" step="10000" value="${tranche.amount}"
+                   onchange="updateCapexTranche(${index}, 'amount', this.value)"></td>
+        <td><button class="btn btn--sm btn--outline" onclick="removeCapexTranche(${index})">移除</button></td>
+      </tr>`).join('')
+    : '<tr><td colspan="3" style="color: var(--color-text-secondary);">沒有資本支出</td></tr>';
+  Object.entries(OPEX_FIELDS).forEach(([key, field]) => {
+    document.getElementById(field.id).value = opex[key];
+  });
+}
+
+// A new tranche defaults to one year after the last one
+function addCapexTranche() {
+  const capex = state.costSchedule.capex;
+  const period = capex.length ? Math.max(...capex.map(tranche => tranche.period)) + periodsPerYear() : 1;
+  capex.push({ period, amount: 0 });
+  renderCostSchedule();
+}
+
+function removeCapexTranche(index) {
+  state.costSchedule.capex.splice(index, 1);
+  renderCostSchedule();
+}
+
+function updateCapexTranche(index, key, rawValue) {
+  const tranche = state.costSchedule.capex[index];
+  if (key === 'period') {
+    const period = parseInt(rawValue);
+    if (period >= 1) {
+      tranche.period = period;
+    } else {
+      alert('支出期必須是大於或等於 1 的整數 (預測第一期 = 1)');
+    }
+  } else {
+    const amount = parseFloat(rawValue);
+    if (amount >= 0) {
+      tranche.amount = amount;
+    } else {
+      alert('資本支出金額必須是大於或等於 0 的數字');
+    }
+  }
+  renderCostSchedule();
+}
+
+// Format version of the project settings file (must match on import)
+const PROJECT_FILE_VERSION = 1;
+// ROI revenue inputs saved with the project settings (input ids)
+const PROJECT_ROI_INPUTS = [...Object.keys(ROI_INPUT_LABELS), 'arpaGrowth', 'rampPeriods'];
+
+// Project settings file: the scenarios (with each intervention's launch marketing), the cost schedule and the
+// ROI revenue inputs, so they can be restored after a reload. granularity records the unit of their period
+// counts, which are converted to the current data's granularity on import
+function exportProjectSettings() {
+  const project = {
+    version: PROJECT_FILE_VERSION,
+    granularity: state.scenarioGranularity,
+    scenarios: state.scenarios,
+    costSchedule: state.costSchedule,
+    roiInputs: Object.fromEntries(PROJECT_ROI_INPUTS.map(id => [id, parseFloat(document.getElementById(id).value)]))
+  };
+  const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.download = 'growth_forecast_project.json';
+  a.href = url;
+  a.click();
+  window.URL.revokeObjectURL(url);
+}
+
+// Check imported project settings against the editors' own rules; throws on anything invalid
+function validateProjectSettings(project) {
+  const isNumber = (v) => typeof v === 'number' && isFinite(v);
+  if (!project || project.version !== PROJECT_FILE_VERSION) throw new Error('不是此版本的專案設定檔');
+  const { scenarios, costSchedule, roiInputs } = project;
+  if (project.granularity !== undefined && !PERIOD_GRANULARITIES[project.granularity]) throw new Error('期間粒度無效');
+  if (!Array.isArray(scenarios) || scenarios.length === 0) throw new Error('缺少情境');
+  scenarios.forEach(scenario => {
+    if (typeof scenario.id !== 'string' || typeof scenario.name !== 'string' || typeof scenario.color !== 'string') {
+      throw new Error('情境缺少 id、名稱或顏色');
+    }
+    SCENARIO_SLIDERS.forEach(slider => {
+      const range = scenario.bounds && scenario.bounds[slider.key];
+      if (!range || !isNumber(range.min) || !isNumber(range.max)) throw new Error(`情境「${scenario.name}」缺少 ${slider.label} 的邊界`);
+    });
+    if (!Array.isArray(scenario.interventions) || scenario.interventions.length === 0) {
+      throw new Error(`情境「${scenario.name}」沒有介入`);
+    }
+    scenario.interventions.forEach(intervention => {
+      if (typeof intervention.id !== 'string' || typeof intervention.name !== 'string' || !Number.isInteger(intervention.launch)) {
+        throw new Error(`情境「${scenario.name}」的介入缺少 id、名稱或啟動期`);
+      }
+      if (!(intervention.marketing >= 0)) throw new Error(`介入「${intervention.name}」的上線行銷支出必須是大於或等於 0 的數字`);
+      SCENARIO_SLIDERS.forEach(slider => {
+        const effect = intervention.effects && intervention.effects[slider.key];
+        if (!intervention.params || !isNumber(intervention.params[slider.key]) || !effect || !EFFECT_SHAPES[effect.shape] || !effect.params) {
+          throw new Error(`介入「${intervention.name}」的 ${slider.label} 參數或效應形狀無效`);
+        }
+      });
+      if (!intervention.distributions || typeof intervention.distributions !== 'object') intervention.distributions = {};
+    });
+  });
+  if (!costSchedule || !Array.isArray(costSchedule.capex) || !costSchedule.opex) throw new Error('缺少成本排程');
+  costSchedule.capex.forEach(tranche => {
+    if (!(Number.isInteger(tranche.period) && tranche.period >= 1 && tranche.amount >= 0)) {
+      throw new Error('資本支出分期的支出期須為大於或等於 1 的整數，金額須大於或等於 0');
+    }
+  });
+  Object.entries(OPEX_FIELDS).forEach(([key, field]) => {
+    const value = costSchedule.opex[key];
+    if (!(isNumber(value) && value >= field.min && (!field.integer || Number.isInteger(value)))) {
+      throw new Error(`${field.label}必須是大於或等於 ${field.min} 的${field.integer ? '整數' : '數字'}`);
+    }
+  });
+  if (roiInputs && PROJECT_ROI_INPUTS.some(id => roiInputs[id] !== undefined && !isNumber(roiInputs[id]))) {
+    throw new Error('ROI 設定必須是數字');
+  }
+}
+
+function importProjectSettings(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    let project;
+    try {
+      project = JSON.parse(reader.result);
+      validateProjectSettings(project);
+    } catch (error) {
+      alert(`無法匯入專案設定 ${file.name}: ${error.message}`);
+      return;
+    }
+    state.scenarios = project.scenarios.map(scenario => ({
+      id: scenario.id,
+      name: scenario.name,
+      color: scenario.color,
+      bounds: cloneBounds(scenario.bounds),
+      interventions: cloneInterventions(scenario.interventions)
+    }));
+    state.costSchedule = {
+      capex: project.costSchedule.capex.map(({ period, amount }) => ({ period, amount })),
+      opex: Object.fromEntries(Object.keys(OPEX_FIELDS).map(key => [key, project.costSchedule.opex[key]]))
+    };
+    PROJECT_ROI_INPUTS.forEach(id => {
+      if (project.roiInputs && project.roiInputs[id] !== undefined) document.getElementById(id).value = project.roiInputs[id];
+    });
+    // Files without a granularity are taken to be in the current one
+    state.scenarioGranularity = project.granularity || state.granularity;
+    syncScenarioTiming();
+  // Later scenarios and interventions must not reuse an imported id
+    const suffix = (id) => { const match = /_(\d+)$/.exec(id); return match ? parseInt(match[1]) : 0; };
+    scenarioCounter = Math.max(scenarioCounter, ...state.scenarios.map(scenario => suffix(scenario.id)));
+    interventionCounter = Math.max(interventionCounter,
+      ...state.scenarios.flatMap(scenario => scenario.interventions.map(intervention => suffix(intervention.id))));
+    renderScenarioPanels();
+    renderCostSchedule();
+    alert('已匯入專案設定；情境變更在重新產生預測後生效');
+  };
+  reader.onerror = () => alert(`無法讀取 ${file.name}`);
+  reader.readAsText(file);
+}
+
+function updateOpexSetting(key, rawValue) {
+  const field = OPEX_FIELDS[key];
+  const value = field.integer ? parseInt(rawValue) : parseFloat(rawValue);
+  if (value >= field.min) {
+    state.costSchedule.opex[key] = value;
+  } else {
+    alert(`${field.label}必須是大於或等於 ${field.min} 的${field.integer ? '整數' : '數字'}`);
+  }
+  renderCostSchedule();
+}
+
+// ROI cost and revenue inputs (non-negative numbers, gross margin at most 100%, ARPA growth above -100%,
+// ramp periods a non-negative integer); alerts and returns null otherwise. The cost schedule, validated
+// while it is edited, is copied into `costs`
+function readROIInputs() {
+  const inputs = {};
+  for (const [id, label] of Object.entries(ROI_INPUT_LABELS)) {
+    const value = parseFloat(document.getElementById(id).value);
+    if (!isFinite(value) || value < 0) {
+      alert(`${label}必須是大於或等於 0 的數字`);
+      return null;
+    }
+    inputs[id] = value;
+  }
+  if (inputs.grossMargin > 100) {
+    alert('毛利率不能超過 100%');
+    return null;
+  }
+  const arpaGrowth = parseFloat(document.getElementById('arpaGrowth').value);
+  if (!(arpaGrowth > -100)) {
+    alert('每帳戶收入年成長率必須大於 -100%');
+    return null;
+  }
+  inputs.arpaGrowth = arpaGrowth;
+  const rampPeriods = parseInt(document.getElementById('rampPeriods').value);
+  if (!(rampPeriods >= 0)) {
+    alert('新帳戶收入爬升期數必須是大於或等於 0 的整數');
+    return null;
+  }
+  inputs.rampPeriods = rampPeriods;
+  inputs.costs = cloneCostSchedule(state.costSchedule);
+  return inputs;
+}
+
+// Annual opex at `accounts` incremental active accounts: fixed cost + per-account cost + a step cost per full step
+function annualOperatingCost(opex, accounts) {
+  const steps = opex.stepAccounts > 0 ? Math.floor(accounts / opex.stepAccounts) : 0;
+  return opex.annual + opex.perAccount * accounts + steps * opex.stepCost;
+}
+
+// Annual revenue per account (ARPA) in forecast period i + 1, stepped once per forecast year by the growth rate
+function arpaAt(inputs, i) {
+  return inputs.revenuePerAccount * Math.pow(1 + inputs.arpaGrowth / 100, Math.floor(i / periodsPerYear()));
+}
+
+// Share of full revenue a new account earns at `age` periods (0 = the period it joins): linear over the ramp
+function rampFraction(inputs, age) {
+  return age < inputs.rampPeriods ? (age + 1) / (inputs.rampPeriods + 1) : 1;
+}
+
+// Per-period cash flows of one scenario path against the baseline (forecast period i + 1):
+// revenue = billable accounts × the period's ARPA ÷ periods per year, billable being the period's gap (active accounts
+// with a churn layer) less what accounts still in their ramp do not yet earn; gross profit = revenue × gross margin;
+// acquisition = the increase in the cumulative gross-add gap × acquisition cost (churned accounts were acquired too);
+// capex sums the schedule's tranches due in the period; opex runs from its start period at annualOperatingCost (of the
+// period's gap) ÷ periods per year; marketing sums the spend of the interventions launching in the period.
+// Net cash flow counts gross profit and is discounted at the end of its period with the annual discount rate.
+function cashFlowSchedule(values, baseline, inputs, gross = { values, baseline }, interventions = []) {
+  const perYear = periodsPerYear();
+  const rate = inputs.discountRate / 100;
+  const { capex: tranches, opex: opexSettings } = inputs.costs;
+  const gaps = values.map((value, i) => value - baseline[i]);
+  let previousGrossGap = 0;
+  let cumulative = 0;
+  return values.map((value, i) => {
+    const grossGap = gross.values[i] - gross.baseline[i];
+    let billable = gaps[i];
+    for (let age = 0; age < inputs.rampPeriods && age <= i; age++) {
+      const added = gaps[i - age] - (i - age > 0 ? gaps[i - age - 1] : 0);
+      billable -= added * (1 - rampFraction(inputs, age));
+    }
+    const revenue = billable * arpaAt(inputs, i) / perYear;
+    const grossProfit = revenue * inputs.grossMargin / 100;
+    const acquisition = (grossGap - previousGrossGap) * inputs.acquisitionCost;
+    previousGrossGap = grossGap;
+    const capex = tranches.reduce((sum, tranche) => tranche.period === i + 1 ? sum + tranche.amount : sum, 0);
+    const opex = i + 1 < opexSettings.startPeriod ? 0 : annualOperatingCost(opexSettings, Math.max(0, gaps[i])) / perYear;
+    const marketing = interventions.reduce((sum, intervention) => intervention.launch === i + 1 ? sum + intervention.marketing : sum, 0);
+    const net = grossProfit - acquisition - capex - opex - marketing;
+    const discountFactor = Math.pow(1 + rate, -(i + 1) / perYear);
+    cumulative += net * discountFactor;
+    return { revenue, grossProfit, acquisition, capex, opex, marketing, net, discountFactor, discounted: net * discountFactor, cumulative };
+  });
+}
+
+// LTV of one account joining in forecast period start + 1: survival (churn layer) × ramp × ARPA ÷ periods per year
+// × gross margin for every age, discounted back to the joining period. Ages run until survival drops below
+// LTV_MIN_SURVIVAL or LTV_MAX_YEARS; without a churn layer the lifetime is unbounded and the result is NaN
+function accountLifetimeValue(inputs, start, churn) {
+  if (!churn || churn.rate <= 0) return NaN;
+  const perYear = periodsPerYear();
+  const rate = inputs.discountRate / 100;
+  let survival = 1;
+  let value = 0;
+  for (let age = 0; age < LTV_MAX_YEARS * perYear && survival > LTV_MIN_SURVIVAL; age++) {
+    value += survival * rampFraction(inputs, age) * arpaAt(inputs, start + age) / perYear * inputs.grossMargin / 100 *
+      Math.pow(1 + rate, -age / perYear);
+    survival *= 1 - churnRateAtAge(churn, age);
+  }
+  return value;
+}
+
+// Unit economics of a scenario: LTV averages the LTV of each period's incremental new accounts (increase in the
+// cumulative gross-add gap) weighted by their count, later cohorts being worth more under ARPA growth;
+// CAC is the per-account acquisition cost, valued at the time the account is added like the LTV, so LTV/CAC
+// compares like with like. Platform cost and launch marketing are not per-account acquisition spend and are
+// reported separately as the all-in cost = (acquisition + platform + launch marketing) ÷ incremental new
+// accounts (undiscounted)
+function scenarioUnitEconomics(roi, gross, inputs, churn) {
+  const perYear = periodsPerYear();
+  // ARPA steps once a year, so the per-period LTVs are perYear values scaled by the year's growth factor
+  const ltvByPhase = Array.from({ length: perYear }, (_, phase) => accountLifetimeValue(inputs, phase, churn));
+  let added = 0;
+  let weightedLTV = 0;
+  gross.values.forEach((value, i) => {
+    const gap = value - gross.baseline[i];
+    const previous = i > 0 ? gross.values[i - 1] - gross.baseline[i - 1] : 0;
+    const adds = Math.max(0, gap - previous);
+    added += adds;
+    weightedLTV += adds * ltvByPhase[i % perYear] * Math.pow(1 + inputs.arpaGrowth / 100, Math.floor(i / perYear));
+  });
+  const ltv = added > 0 ? weightedLTV / added : NaN;
+  const cac = inputs.acquisitionCost;
+  const allInCost = added > 0 ? (roi.acquisitionCost + roi.platformCost + roi.marketingCost) / added : NaN;
+  return { ltv, cac, ltvToCac: ltv / cac, allInCost };
+}
+
+// NPV at an annual rate, end-of-period flows discounted like cashFlowSchedule
+function annualNPV(flows, rate, perYear) {
+  return flows.reduce((sum, flow, i) => sum + flow * Math.pow(1 + rate, -(i + 1) / perYear), 0);
+}
+
+// Annual internal rate of return by bisection from -99%, widening the upper end as needed;
+// NaN when the flows never change sign or no root is bracketed
+function internalRateOfReturn(flows, perYear) {
+  let lower = -0.99;
+  let upper = 1;
+  let npvLower = annualNPV(flows, lower, perYear);
+  let npvUpper = annualNPV(flows, upper, perYear);
+  while (npvLower * npvUpper > 0 && upper < 1e4) {
+    upper *= 4;
+    npvUpper = annualNPV(flows, upper, perYear);
+  }
+  if (!(npvLower * npvUpper <= 0)) return NaN;
+  
+  for (let k = 0; k < IRR_ITERATIONS; k++) {
+    const mid = (lower + upper) / 2;
+    const npvMid = annualNPV(flows, mid, perYear);
+    if (npvLower * npvMid <= 0) {
+      upper = mid;
+    } else {
+      lower = mid;
+      npvLower = npvMid;
+    }
+  }
+  return (lower + upper) / 2;
+}
+
+// Discounted payback in years: when the cumulative discounted cash flow last turns non-negative
+// (interpolated within the period); Infinity when it is not recovered within the forecast
+function discountedPayback(schedule, perYear) {
+  const last = schedule[schedule.length - 1];
+  if (!last || last.cumulative < 0) return Infinity;
+  let k = schedule.length - 1;
+  while (k >= 0 && schedule[k].cumulative >= 0) k--;
+  if (k < 0) return 0;
+  const next = schedule[k + 1];
+  return (k + 1 + (-schedule[k].cumulative / next.discounted)) / perYear;
+}
+
+// ROI of one scenario path against the baseline (see cashFlowSchedule). Revenue, acquisition, platform cost
+// (capex + opex), launch marketing and net benefit are undiscounted totals; NPV sums the discounted flows and
+// ROI = NPV ÷ PV of the investment (platform cost + launch marketing)
+function computeScenarioROI(values, baseline, inputs, gross = { values, baseline }, interventions = []) {
+  const perYear = periodsPerYear();
+  const schedule = cashFlowSchedule(values, baseline, inputs, gross, interventions);
+  const total = (key) => schedule.reduce((sum, row) => sum + row[key], 0);
+  const investmentPV = schedule.reduce((sum, row) => sum + (row.capex + row.opex + row.marketing) * row.discountFactor, 0);
+  const npv = total('discounted');
+  
+  return {
+    incrementalRevenue: total('revenue'),
+    acquisitionCost: total('acquisition'),
+    platformCost: total('capex') + total('opex'),
+    marketingCost: total('marketing'),
+    netBenefit: total('net'),
+    npv,
+    irr: internalRateOfReturn(schedule.map(row => row.net), perYear),
+    roi: npv / investmentPV * 100,
+    payback: discountedPayback(schedule, perYear),
+    schedule
+  };
+}
+
+// Apply the currency and notation settings and redraw what is already shown
+function applyDisplaySettings() {
+  const inputCurrency = document.getElementById('inputCurrency').value;
+  const currency = document.getElementById('displayCurrency').value;
+  const fxRate = parseFloat(document.getElementById('fxRate').value);
+  if (currency !== inputCurrency && !(fxRate > 0)) {
+    alert('匯率必須是大於 0 的數字');
+    return;
+  }
+  const notation = document.getElementById('numberNotation').value;
+  state.displaySettings = {
+    inputCurrency: CURRENCIES[inputCurrency] ? inputCurrency : 'TWD',
+    currency: CURRENCIES[currency] ? currency : 'TWD',
+    fxRate: currency === inputCurrency ? 1 : fxRate,
+    notation: NUMBER_NOTATIONS[notation] ? notation : 'standard'
+  };
+  
+  if (state.fittedParams) displayFittingChart();
+  const forecastData = state.forecastData;
+  if (!forecastData) return;
+  displayForecastChart();
+  displayIncrementalChart();
+  displayForecastTable();
+  displaySummaryStats();
+  if (forecastData.roi) displayROIResults(forecastData.roi.results);
+  if (forecastData.monteCarlo) displayMonteCarloResults();
+  if (forecastData.sensitivity) displayTornadoChart();
+  if (forecastData.goalSeek) displayGoalSeekResult();
+}
+
+function calculateROI() {
+  const inputs = readROIInputs();
+  if (!inputs) return;
+  
+  const roiResults = state.forecastData.scenarios.map(scenario => {
+    const gross = { values: scenario.grossValues, baseline: state.forecastData.baselineGross };
+    const roi = computeScenarioROI(scenario.values, state.forecastData.baseline, inputs, gross, scenario.interventions);
+    return { name: scenario.name, ...roi, ...scenarioUnitEconomics(roi, gross, inputs, state.churn) };
+  });
+  
+  state.forecastData.roi = { inputs, churn: state.churn, results: roiResults };
+  displayROIResults(roiResults);
+}
+
+// Cost schedule summary, e.g. "資本支出 第 1 期 NT$1,000,000、第 5 期 NT$500,000；營運成本自第 2 期起每年 NT$100,000 + NT$2/帳戶"
+function describeCostSchedule(costs) {
+  const { capex, opex } = costs;
+  const tranches = [...capex].sort((a, b) => a.period - b.period)
+    .map(tranche => `第 ${tranche.period} 期 ${formatMoney(tranche.amount)}`).join('、');
+  let text = `資本支出 ${tranches || '無'}；營運成本自第 ${opex.startPeriod} 期起每年 ${formatMoney(opex.annual)}`;
+  if (opex.perAccount > 0) text += ` + ${formatMoney(opex.perAccount)}/帳戶`;
+  if (opex.stepAccounts > 0 && opex.stepCost > 0) {
+    text += ` + 每 ${formatNumber(opex.stepAccounts)} 帳戶 ${formatMoney(opex.stepCost)}`;
+  }
+  return text;
+}
+
+const formatIRR = (v) => isFinite(v) ? `${(v * 100).toFixed(1)}%` : 'N/A';
+const formatLTVRatio = (v) => isFinite(v) ? `${v.toFixed(2)}×` : 'N/A';
+
+// Per-period cash flow schedule of every scenario from the last ROI calculation
+function exportCashFlowSchedule() {
+  const roi = state.forecastData && state.forecastData.roi;
+  if (!roi) {
+    alert('請先計算 ROI。');
+    return;
+  }
+  const { inputs, results } = roi;
+  const unit = state.displaySettings.currency;
+  let csv = `幣別,${csvField(describeCurrency())},年折現率 (%),${inputs.discountRate},每帳戶收入年成長率 (%),${inputs.arpaGrowth},` +
+    `毛利率 (%),${inputs.grossMargin},收入爬升期數,${inputs.rampPeriods}\n`;
+  csv += `成本排程,${csvField(describeCostSchedule(inputs.costs))}\n`;
+  csv += `情境,期間,收入 (${unit}),毛利 (${unit}),獲客成本 (${unit}),資本支出 (${unit}),營運成本 (${unit}),上線行銷 (${unit}),淨現金流量 (${unit}),` +
+    `折現因子,折現現金流量 (${unit}),累計折現現金流量 (${unit})\n`;
+  results.forEach(result => {
+    result.schedule.forEach((row, i) => {
+      csv += [
+        csvField(result.name),
+        state.forecastData.periods[i],
+        csvMoney(row.revenue),
+        csvMoney(row.grossProfit),
+        csvMoney(row.acquisition),
+        csvMoney(row.capex),
+        csvMoney(row.opex),
+        csvMoney(row.marketing),
+        csvMoney(row.net),
+        row.discountFactor.toFixed(4),
+        csvMoney(row.discounted),
+        csvMoney(row.cumulative)
+      ].join(',') + '\n';
+    });
+  });
+  csv += `\n情境,增量收入 (${unit}),獲客成本 (${unit}),平台成本 (${unit}),上線行銷 (${unit}),淨效益 (${unit}),NPV (${unit}),IRR (年),ROI (%),` +
+    `折現回收期 (年),LTV (${unit}),CAC (${unit}),LTV/CAC,每帳戶全成本 (含平台與行銷，${unit})\n`;
+  const fixed = (v, digits) => isFinite(v) ? v.toFixed(digits) : 'N/A';
+  results.forEach(result => {
+    csv += `${csvField(result.name)},${csvMoney(result.incrementalRevenue)},${csvMoney(result.acquisitionCost)},${csvMoney(result.platformCost)},` +
+      `${csvMoney(result.marketingCost)},${csvMoney(result.netBenefit)},${csvMoney(result.npv)},${formatIRR(result.irr)},${fixed(result.roi, 1)},` +
+      `${fixed(result.payback, 2)},${csvMoney(result.ltv)},${csvMoney(result.cac)},${fixed(result.ltvToCac, 2)},${csvMoney(result.allInCost)}\n`;
+  });
+  
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'roi_cash_flow_schedule.csv';
+  a.click();
+  window.URL.revokeObjectURL(url);
+}
+
+function displayROIResults(results) {
+  const tbody = document.getElementById('roiTableBody');
+  tbody.innerHTML = '';
+  
+  results.forEach(result => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td>${escapeHtml(result.name)}</td>
+      <td>${formatMoney(result.incrementalRevenue)}</td>
+      <td>${formatMoney(result.acquisitionCost)}</td>
+      <td>${formatMoney(result.platformCost)}</td>
+      <td>${formatMoney(result.marketingCost)}</td>
+      <td>${formatMoney(result.netBenefit)}</td>
+      <td style="font-weight: var(--font-weight-semibold); color: ${result.npv > 0 ? 'var(--color-success)' : 'var(--color-error)'}">${formatMoney(result.npv)}</td>
+      <td>${formatIRR(result.irr)}</td>
+      <td style="font-weight: var(--font-weight-semibold);">${isFinite(result.roi) ? `${result.roi.toFixed(1)}%` : 'N/A'}</td>
+      <td>${result.payback < 100 ? result.payback.toFixed(1) : 'N/A'}</td>
+      <td>${formatMoney(result.ltv)}</td>
+      <td>${formatMoney(result.cac)}</td>
+      <td style="font-weight: var(--font-weight-semibold); color: ${result.ltvToCac >= 3 ? 'var(--color-success)' : result.ltvToCac < 1 ? 'var(--color-error)' : 'inherit'}">${formatLTVRatio(result.ltvToCac)}</td>
+      <td>${formatMoney(result.allInCost)}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  
+  // LTV needs a finite lifetime: point to the churn layer when there is none
+  const noteEl = document.getElementById('roiLtvNote');
+  const churn = state.forecastData.roi.churn;
+  noteEl.textContent = churn && churn.rate > 0
+    ? `LTV 依流失層的平均帳戶壽命 ${churnLifetime(churn).toFixed(1)} ${periodUnit()} 計算`
+    : 'LTV 需要帳戶流失率：請在步驟 2 啟用流失層 (或流失率大於 0) 後重新擬合與產生預測';
+  noteEl.style.display = 'block';
+  document.getElementById('roiResults').style.display = 'block';
+}
+
+// Monte Carlo simulation
+// Parameter distributions: the triangular peaks at the most likely value; the normal is not truncated
+// (samples are limited by the lever bounds or the shape parameter minimum afterwards)
+const DISTRIBUTION_TYPES = {
+  fixed: { name: '固定', fields: [] },
+  uniform: { name: '均勻分布', fields: ['min', 'max'] },
+  triangular: { name: '三角分布', fields: ['min', 'mode', 'max'] },
+  normal: { name: '常態分布', fields: ['mean', 'sd'] }
+};
+const DISTRIBUTION_FIELD_LABELS = { min: '下限', mode: '最可能值', max: '上限', mean: '平均', sd: '標準差' };
+// Metrics recorded per path, defined like the summary cards: total incremental accounts (sum of
+// the per-period gaps), peak single-period gap and ROI
+const MONTE_CARLO_METRICS = {
+  total: { label: '總增量帳戶', format: formatSignedNumber },
+  peak: { label: '峰值單期增量', format: formatSignedNumber },
+  roi: { label: 'ROI', format: v => isFinite(v) ? `${v.toFixed(1)}%` : 'N/A' }
+};
+const MONTE_CARLO_PERCENTILES = [5, 25, 50, 75, 95];
+const MONTE_CARLO_CHUNK_SIZE = 100;
+const MONTE_CARLO_HISTOGRAM_BINS = 30;
+
+// Draw from a distribution (inverse CDF for the triangular, Box-Muller for the normal)
+function sampleDistribution(dist) {
+  const u = Math.random();
+  if (dist.type === 'uniform') {
+    return dist.min + u * (dist.max - dist.min);
+  }
+  if (dist.type === 'triangular') {
+    const { min, mode, max } = dist;
+    const range = max - min;
+    if (range <= 0) return min;
+    return u < (mode - min) / range
+      ? min + Math.sqrt(u * range * (mode - min))
+      : max - Math.sqrt((1 - u) * range * (max - mode));
+  }
+  return dist.mean + dist.sd * Math.sqrt(-2 * Math.log(1 - u)) * Math.cos(2 * Math.PI * Math.random());
+}
+
+// Set an intervention parameter (a MONTE_CARLO_PARAMS key): strengths are limited to the scenario's
+// bounds, timings go to every effect shape that has them and stay at or above the shape's minimum
+function assignInterventionParam(scenario, intervention, key, value) {
+  if (scenario.bounds[key]) {
+    const { min, max } = scenario.bounds[key];
+    intervention.params[key] = Math.min(max, Math.max(min, value));
+    return;
+  }
+  Object.values(intervention.effects).forEach(effect => {
+    const param = EFFECT_SHAPES[effect.shape].params.find(p => p.key === key);
+    if (param) effect.params[key] = Math.max(param.min, value);
+  });
+}
+
+// Interventions of one simulated path (a copy): every parameter with a distribution is drawn
+function sampleInterventions(scenario) {
+  const interventions = cloneInterventions(scenario.interventions);
+  interventions.forEach(intervention => {
+    Object.entries(intervention.distributions).forEach(([key, dist]) => {
+      assignInterventionParam(scenario, intervention, key, sampleDistribution(dist));
+    });
+  });
+  return interventions;
+}
+
+function monteCarloPathMetrics(values, baseline, roiInputs, gross, interventions) {
+  const gaps = values.map((v, i) => v - baseline[i]);
+  return {
+    total: gaps.reduce((sum, gap) => sum + gap, 0),
+    peak: Math.max(...gaps),
+    roi: computeScenarioROI(values, baseline, roiInputs, gross, interventions).roi
+  };
+}
+
+/**
+ * Simulate `runs` paths for every scenario of the forecast snapshot: the baseline stays fixed while the
+ * intervention parameters are drawn from their distributions and applied period by period.
+ * Runs in setTimeout chunks to keep the page responsive; calls onProgress(done, total) and finally
+ * onComplete(samples), where samples[scenarioId][metric] holds the value of every path.
+ * Returns a cancel function.
+ */
+function runMonteCarlo(forecastData, modelKey, params, runs, roiInputs, onProgress, onComplete) {
+  const baseOffset = forecastBaseOffset();
+  const baseline = forecastData.baseline;
+  const samples = Object.fromEntries(forecastData.scenarios.map(scenario => [scenario.id, { total: [], peak: [], roi: [] }]));
+  let done = 0;
+  let cancelled = false;
+  
+  function runChunk() {
+    if (cancelled) return;
+    
+    const end = Math.min(runs, done + MONTE_CARLO_CHUNK_SIZE);
+    for (; done < end; done++) {
+      forecastData.scenarios.forEach(scenario => {
+        const paths = projectForecastPaths(modelKey, params, baseOffset, baseline.length, [{ id: scenario.id, interventions: sampleInterventions(scenario) }]);
+        // Sampling only moves strengths and timing; launch marketing follows the scenario's launch periods
+        const metrics = monteCarloPathMetrics(paths[scenario.id], baseline, roiInputs,
+          { values: paths.gross[scenario.id], baseline: forecastData.baselineGross }, scenario.interventions);
+        Object.keys(MONTE_CARLO_METRICS).forEach(metric => {
+          if (isFinite(metrics[metric])) samples[scenario.id][metric].push(metrics[metric]);
+        });
+      });
+    }
+    
+    onProgress(done, runs);
+    if (done < runs) {
+      setTimeout(runChunk, 0);
+    } else {
+      onComplete(samples);
+    }
+  }
+  
+  setTimeout(runChunk, 0);
+  return () => { cancelled = true; };
+}
+
+// Mean and percentiles of every metric, plus the probability that ROI is above zero. Only paths where
+// the metric is finite count (`count` of them); with no such path the values are NaN
+function summarizeMonteCarlo(samples) {
+  return Object.fromEntries(Object.entries(samples).map(([id, metrics]) => {
+    const summary = {};
+    Object.entries(metrics).forEach(([metric, values]) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      summary[metric] = {
+        count: sorted.length,
+        mean: sorted.length > 0 ? sorted.reduce((sum, v) => sum + v, 0) / sorted.length : NaN,
+        ...Object.fromEntries(MONTE_CARLO_PERCENTILES.map(p => ['p' + p, percentile(sorted, p)]))
+      };
+    });
+    summary.probPositiveROI = metrics.roi.length > 0 ? metrics.roi.filter(v => v > 0).length / metrics.roi.length : NaN;
+    return [id, summary];
+  }));
+}
+
+// The mean cell notes the number of valid paths when some runs were dropped, and shows N/A when none are left
+function formatMonteCarloMean(stats, format, runs) {
+  if (stats.count === 0) return `N/A (0/${runs} 條路徑有效)`;
+  return stats.count < runs ? `${format(stats.mean)} (${stats.count}/${runs} 條路徑有效)` : format(stats.mean);
+}
+
+function formatProbPositiveROI(summary, runs) {
+  return isFinite(summary.probPositiveROI) ? `${(summary.probPositiveROI * 100).toFixed(1)}%` : `N/A (0/${runs} 條路徑有效)`;
+}
+
+// Drop the previous simulation (new forecast or reset)
+function resetMonteCarlo() {
+  if (cancelMonteCarlo) {
+    cancelMonteCarlo();
+    cancelMonteCarlo = null;
+  }
+  if (monteCarloChart) {
+    monteCarloChart.destroy();
+    monteCarloChart = null;
+  }
+  document.getElementById('monteCarloProgress').style.display = 'none';
+  document.getElementById('monteCarloResults').style.display = 'none';
+}
+
+function startMonteCarlo() {
+  const forecastData = state.forecastData;
+  const runs = parseInt(document.getElementById('monteCarloRuns').value);
+  if (!(runs >= 100 && runs <= 20000)) {
+    alert('模擬次數必須介於 100 與 20000 之間');
+    return;
+  }
+  const hasDistributions = forecastData.scenarios.some(scenario =>
+    scenario.interventions.some(intervention => Object.keys(intervention.distributions).length > 0));
+  if (!hasDistributions) {
+    alert('請先在步驟 3 為介入參數設定分布，並重新產生預測');
+    return;
+  }
+  const roiInputs = readROIInputs();
+  if (!roiInputs) return;
+  
+  resetMonteCarlo();
+  forecastData.monteCarlo = null;
+  const progressFill = document.getElementById('monteCarloProgressFill');
+  const progressText = document.getElementById('monteCarloProgressText');
+  document.getElementById('monteCarloProgress').style.display = 'block';
+  progressFill.style.width = '0%';
+  progressText.textContent = `正在模擬 (0/${runs})...`;
+  
+  cancelMonteCarlo = runMonteCarlo(forecastData, forecastData.model, { ...state.fittedParams }, runs, roiInputs,
+    (done, total) => {
+      progressFill.style.width = (done / total * 100).toFixed(0) + '%';
+      progressText.textContent = `正在模擬 (${done}/${total})...`;
+    },
+    (samples) => {
+      cancelMonteCarlo = null;
+      forecastData.monteCarlo = { runs, roiInputs, samples, summary: summarizeMonteCarlo(samples) };
+      progressText.textContent = `✓ 模擬完成：每個情境 ${runs} 條路徑`;
+      
+      // The user may have regenerated the forecast in the meantime
+      if (state.forecastData === forecastData) {
+        displayMonteCarloResults();
+      }
+    }
+  );
+}
+
+function displayMonteCarloResults() {
+  const monteCarlo = state.forecastData.monteCarlo;
+  const scenarios = state.forecastData.scenarios;
+  const metricCount = Object.keys(MONTE_CARLO_METRICS).length;
+  
+  document.getElementById('monteCarloTableBody').innerHTML = scenarios.flatMap(scenario => {
+    const summary = monteCarlo.summary[scenario.id];
+    return Object.entries(MONTE_CARLO_METRICS).map(([metric, { label, format }], i) => `
+      <tr>
+        ${i === 0 ? `<td rowspan="${metricCount}" style="color: ${scenario.color}; font-weight: var(--font-weight-semibold);">${escapeHtml(scenario.name)}</td>` : ''}
+        <td>${label}</td>
+        <td>${formatMonteCarloMean(summary[metric], format, monteCarlo.runs)}</td>
+        ${MONTE_CARLO_PERCENTILES.map(p => `<td>${format(summary[metric]['p' + p])}</td>`).join('')}
+        ${i === 0 ? `<td rowspan="${metricCount}" style="font-weight: var(--font-weight-semibold);">${formatProbPositiveROI(summary, monteCarlo.runs)}</td>` : ''}
+      </tr>`);
+  }).join('');
+  
+  document.getElementById('monteCarloResults').style.display = 'block';
+  displayMonteCarloChart();
+}
+
+// Histogram of the selected metric; all scenarios share the same bins so their spread is comparable
+function displayMonteCarloChart() {
+  const monteCarlo = state.forecastData && state.forecastData.monteCarlo;
+  if (!monteCarlo) return;
+  const metric = document.getElementById('monteCarloMetric').value;
+  const { label, format } = MONTE_CARLO_METRICS[metric];
+  const scenarios = state.forecastData.scenarios;
+  
+  const allValues = scenarios.flatMap(scenario => monteCarlo.samples[scenario.id][metric]);
+  if (monteCarloChart) {
+    monteCarloChart.destroy();
+    monteCarloChart = null;
+  }
+  if (allValues.length === 0) return;
+  let low = Math.min(...allValues);
+  let high = Math.max(...allValues);
+  if (!(high > low)) {
+    low -= 1;
+    high += 1;
+  }
+  const width = (high - low) / MONTE_CARLO_HISTOGRAM_BINS;
+  const labels = Array.from({ length: MONTE_CARLO_HISTOGRAM_BINS }, (_, i) => format(low + (i + 0.5) * width));
+  const datasets = scenarios.map(scenario => {
+    const counts = new Array(MONTE_CARLO_HISTOGRAM_BINS).fill(0);
+    monteCarlo.samples[scenario.id][metric].forEach(value => {
+      counts[Math.min(MONTE_CARLO_HISTOGRAM_BINS - 1, Math.floor((value - low) / width))]++;
+    });
+    return {
+      label: scenario.name,
+      data: counts,
+      backgroundColor: hexToRgba(scenario.color, 0.5),
+      borderColor: scenario.color,
+      borderWidth: 1
+    };
+  });
+  
+  monteCarloChart = new Chart(document.getElementById('monteCarloChart').getContext('2d'), {
+    type: 'bar',
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: true,
+          position: 'top'
+        }
+      },
+      scales: {
+        x: { title: { display: true, text: label } },
+        y: { beginAtZero: true, title: { display: true, text: `路徑數 (共 ${monteCarlo.runs})` } }
+      }
+    }
+  });
+}
+
+// Sensitivity analysis
+const SENSITIVITY_METRICS = {
+  total: { label: '總增量帳戶', format: formatSignedNumber },
+  netBenefit: { label: '淨效益', format: formatMoney },
+  roi: { label: 'ROI', format: v => isFinite(v) ? `${v.toFixed(1)}%` : 'N/A' }
+};
+const HEATMAP_STEPS = 7; // Cells per axis, including both ends and the base value
+
+/**
+ * Sensitivity inputs of a scenario: every intervention parameter (for its current effect shapes),
+ * the fitted baseline parameters, the ROI settings and the cost schedule amounts (capex tranches scale together).
+ * Each is { key, label, base, format, apply(inputs, value) },
+ * where apply edits a copy made by sensitivityCase.
+ */
+function sensitivityInputs(forecastData, scenario, roiInputs) {
+  const multiple = scenario.interventions.length > 1;
+  const interventionInputs = scenario.interventions.flatMap((intervention, index) => MONTE_CARLO_PARAMS
+    .filter(param => monteCarloParamValue(intervention, param) !== undefined)
+    .map(param => ({
+      key: `${intervention.id}:${param.key}`,
+      label: multiple ? `${intervention.name} ${param.label}` : param.label,
+      base: monteCarloParamValue(intervention, param),
+      format: v => param.percent ? formatLeverValue(param, v) : `${+v.toFixed(2)}${param.unit}`,
+      apply: (inputs, value) => assignInterventionParam(scenario, inputs.interventions[index], param.key, value)
+    })));
+  const modelInputs = GROWTH_MODELS[forecastData.model].params.map(param => ({
+    key: `model:${param.key}`,
+    label: `基線 ${param.label}`,
+    base: state.fittedParams[param.key],
+    format: v => formatModelParam(param, v),
+    apply: (inputs, value) => { inputs.params[param.key] = value; }
+  }));
+  const roiInputList = Object.entries(ROI_INPUT_LABELS).map(([key, label]) => ({
+    key: `roi:${key}`,
+    label,
+    base: roiInputs[key],
+    format: ROI_PERCENT_INPUTS.includes(key) ? v => `${+v.toFixed(2)}%` : formatMoney,
+    apply: (inputs, value) => { inputs.roiInputs[key] = value; }
+  }));
+  // The cost schedule is replaced, not edited (sensitivityCase copies the ROI settings shallowly);
+  // roiInputs is empty when only the options are needed
+  const costs = roiInputs.costs || { capex: [], opex: {} };
+  const capexTotal = costs.capex.reduce((sum, tranche) => sum + tranche.amount, 0);
+  const costInputList = [{
+    key: 'cost:capex',
+    label: '資本支出 (合計)',
+    base: capexTotal,
+    format: formatMoney,
+    apply: (inputs, value) => {
+      const scale = capexTotal > 0 ? value / capexTotal : 1;
+      inputs.roiInputs.costs = { ...inputs.roiInputs.costs, capex: costs.capex.map(tranche => ({ ...tranche, amount: tranche.amount * scale })) };
+    }
+  }, ...Object.entries(OPEX_FIELDS).filter(([, field]) => field.money).map(([key, field]) => ({
+    key: `cost:${key}`,
+    label: field.label,
+    base: costs.opex[key],
+    format: formatMoney,
+    apply: (inputs, value) => {
+      const current = inputs.roiInputs.costs;
+      inputs.roiInputs.costs = { ...current, opex: { ...current.opex, [key]: value } };
+    }
+  }))];
+  return [...interventionInputs, ...modelInputs, ...roiInputList, ...costInputList];
+}
+
+// Copy of the base case (baseline parameters, the scenario's interventions and ROI settings) for one run
+function sensitivityCase(scenario, roiInputs) {
+  return {
+    params: { ...state.fittedParams },
+    interventions: cloneInterventions(scenario.interventions),
+    roiInputs: { ...roiInputs }
+  };
+}
+
+// Re-project the scenario and baseline with edited inputs (baseline parameter changes move both together)
+function projectSensitivityCase(forecastData, scenario, inputs) {
+  const paths = projectForecastPaths(forecastData.model, inputs.params, forecastBaseOffset(), forecastData.periods.length,
+    [{ id: scenario.id, interventions: inputs.interventions }]);
+  return {
+    values: paths[scenario.id],
+    baseline: paths.baseline,
+    gross: { values: paths.gross[scenario.id], baseline: paths.gross.baseline }
+  };
 }
 
-function displayIncrementalChart() {
-  const ctx = document.getElementById('incrementalChart').getContext('2d');
-  
-  // Safe incremental calculation
-  const safeIncremental = (scenario) => {
-    return state.forecastData[scenario].map((v, i) => {
-      const baseline = state.forecastData.baseline[i];
-      if (isFinite(v) && isFinite(baseline)) {
-        return v - baseline;
-      }
-      return null;
-    });
+// Total incremental accounts is the sum of the per-period gaps, as in the summary cards
+function evaluateSensitivityCase(forecastData, scenario, inputs) {
+  const { values, baseline, gross } = projectSensitivityCase(forecastData, scenario, inputs);
+  const roi = computeScenarioROI(values, baseline, inputs.roiInputs, gross, inputs.interventions);
+  return {
+    total: values.reduce((sum, v, i) => sum + v - baseline[i], 0),
+    netBenefit: roi.netBenefit,
+    roi: roi.roi
   };
-  
-  const incrementalConservative = safeIncremental('conservative');
-  const incrementalModerate = safeIncremental('moderate');
-  const incrementalAggressive = safeIncremental('aggressive');
-  
-  if (incrementalChart) {
-    incrementalChart.destroy();
+}
+
+// Metrics with some inputs overridden (overrides: [{ input, value }])
+function evaluateSensitivityOverrides(forecastData, scenario, roiInputs, overrides) {
+  const inputs = sensitivityCase(scenario, roiInputs);
+  overrides.forEach(({ input, value }) => input.apply(inputs, value));
+  return evaluateSensitivityCase(forecastData, scenario, inputs);
+}
+
+function readSensitivityPercent() {
+  const percent = parseFloat(document.getElementById('sensitivityPercent').value);
+  if (!(percent > 0 && percent < 100)) {
+    alert('變動幅度必須介於 0% 與 100% 之間');
+    return null;
+  }
+  return percent;
+}
+
+// Refill the scenario and heatmap parameter options from the current forecast, keeping selections that still exist
+function populateSensitivityControls() {
+  const scenarios = state.forecastData.scenarios;
+  const scenarioSelect = document.getElementById('sensitivityScenario');
+  const selected = scenarios.find(scenario => scenario.id === scenarioSelect.value) || scenarios[0];
+  scenarioSelect.innerHTML = scenarios.map(scenario => `<option value="${scenario.id}">${escapeHtml(scenario.name)}</option>`).join('');
+  scenarioSelect.value = selected.id;
+  
+  const inputs = sensitivityInputs(state.forecastData, selected, {}); // Options only need key and label
+  ['heatmapParamX', 'heatmapParamY'].forEach((id, i) => {
+    const select = document.getElementById(id);
+    const previous = inputs.find(input => input.key === select.value);
+    select.innerHTML = inputs.map(input => `<option value="${input.key}">${escapeHtml(input.label)}</option>`).join('');
+    // Default to the first two inputs (e.g. α × Δt)
+    select.value = previous ? previous.key : inputs[Math.min(i, inputs.length - 1)].key;
+  });
+}
+
+// Drop the previous sensitivity run (new forecast or another scenario)
+function resetSensitivity() {
+  if (tornadoChart) {
+    tornadoChart.destroy();
+    tornadoChart = null;
+  }
+  document.getElementById('sensitivityResults').style.display = 'none';
+  document.getElementById('heatmapResults').style.display = 'none';
+  if (state.forecastData) {
+    state.forecastData.sensitivity = null;
+  }
+}
+
+function runSensitivityAnalysis() {
+  const forecastData = state.forecastData;
+  const percent = readSensitivityPercent();
+  const roiInputs = readROIInputs();
+  if (percent === null || !roiInputs) return;
+  
+  const scenario = forecastData.scenarios.find(s => s.id === document.getElementById('sensitivityScenario').value);
+  const base = evaluateSensitivityCase(forecastData, scenario, sensitivityCase(scenario, roiInputs));
+  const rows = sensitivityInputs(forecastData, scenario, roiInputs).map(input => ({
+    label: input.label,
+    base: input.base,
+    low: input.base * (1 - percent / 100),
+    high: input.base * (1 + percent / 100),
+    format: input.format,
+    lowResult: evaluateSensitivityOverrides(forecastData, scenario, roiInputs, [{ input, value: input.base * (1 - percent / 100) }]),
+    highResult: evaluateSensitivityOverrides(forecastData, scenario, roiInputs, [{ input, value: input.base * (1 + percent / 100) }])
+  }));
+  
+  forecastData.sensitivity = { scenarioName: scenario.name, percent, roiInputs, base, rows };
+  displayTornadoChart();
+}
+
+// Tornado chart: change of the metric from the base at -X% and +X% of every input, largest swing first
+// (inputs that do not move the metric are left out)
+function displayTornadoChart() {
+  const sensitivity = state.forecastData && state.forecastData.sensitivity;
+  if (!sensitivity) return;
+  const metric = document.getElementById('sensitivityMetric').value;
+  const { label, format } = SENSITIVITY_METRICS[metric];
+  const base = sensitivity.base[metric];
+  const swing = (row) => Math.abs(row.highResult[metric] - row.lowResult[metric]);
+  const rows = sensitivity.rows.filter(row => swing(row) > 1e-9).sort((a, b) => swing(b) - swing(a));
+  const omitted = sensitivity.rows.length - rows.length;
+  
+  if (tornadoChart) {
+    tornadoChart.destroy();
   }
   
-  incrementalChart = new Chart(ctx, {
+  tornadoChart = new Chart(document.getElementById('tornadoChart').getContext('2d'), {
     type: 'bar',
     data: {
-      labels: state.forecastData.periods,
+      labels: rows.map(row => row.label),
       datasets: [
         {
-          label: '保守型增量',
-          data: incrementalConservative,
-          backgroundColor: 'rgba(59, 130, 246, 0.6)',
-          borderColor: '#3b82f6',
+          label: `-${sensitivity.percent}%`,
+          data: rows.map(row => row.lowResult[metric] - base),
+          backgroundColor: 'rgba(239, 68, 68, 0.6)',
+          borderColor: '#ef4444',
           borderWidth: 1
         },
         {
-          label: '穩健型增量',
-          data: incrementalModerate,
+          label: `+${sensitivity.percent}%`,
+          data: rows.map(row => row.highResult[metric] - base),
           backgroundColor: 'rgba(16, 185, 129, 0.6)',
           borderColor: '#10b981',
           borderWidth: 1
-        },
-        {
-          label: '積極型增量',
-          data: incrementalAggressive,
-          backgroundColor: 'rgba(239, 68, 68, 0.6)',
-          borderColor: '#ef4444',
-          borderWidth: 1
         }
       ]
     },
     options: {
+      indexAxis: 'y',
       responsive: true,
       maintainAspectRatio: false,
       plugins: {
-        legend: {
-          display: true,
-          position: 'top'
-        },
+        legend: { display: true, position: 'top' },
         tooltip: {
           callbacks: {
             label: function(context) {
-              const value = context.parsed.y;
-              if (value === null || !isFinite(value)) {
-                return context.dataset.label + ': N/A';
-              }
-              return context.dataset.label + ': ' + formatNumber(value);
+              const row = rows[context.dataIndex];
+              const low = context.datasetIndex === 0;
+              const value = low ? row.low : row.high;
+              const result = (low ? row.lowResult : row.highResult)[metric];
+              const change = result - base;
+              return `${context.dataset.label} (${row.format(value)}): ${format(result)} (變動 ${change > 0 ? '+' : ''}${format(change)})`;
             }
           }
         }
       },
       scales: {
         x: {
-          stacked: false
+          stacked: true,
+          title: { display: true, text: `${label}相對基準的變動 (基準 ${format(base)})` },
+          ticks: { callback: function(value) { return format(value); } }
         },
-        y: {
-          stacked: false,
-          beginAtZero: true,
-          ticks: {
-            callback: function(value) {
-              return formatNumber(value);
-            }
-          }
-        }
+        y: { stacked: true }
       }
     }
   });
+  
+  document.getElementById('sensitivityNote').textContent = `「${sensitivity.scenarioName}」，各輸入 ±${sensitivity.percent}%` +
+    (omitted ? `；${omitted} 項輸入不影響${label}，未列出` : '');
+  document.getElementById('sensitivityResults').style.display = 'block';
 }
 
-function displayForecastTable() {
-  const tbody = document.querySelector('#forecastTable tbody');
-  tbody.innerHTML = '';
-  
-  const n = state.forecastData.periods.length;
-  let hasInvalidValues = false;
-  
-  for (let i = 0; i < n; i++) {
-    const tr = document.createElement('tr');
-    
-    const baseline = state.forecastData.baseline[i];
-    const conservative = state.forecastData.conservative[i];
-    const moderate = state.forecastData.moderate[i];
-    const aggressive = state.forecastData.aggressive[i];
-    
-    // Check for invalid values
-    const baselineValid = isFinite(baseline);
-    const conservativeValid = isFinite(conservative);
-    const moderateValid = isFinite(moderate);
-    const aggressiveValid = isFinite(aggressive);
-    
-    if (!baselineValid || !conservativeValid || !moderateValid || !aggressiveValid) {
-      hasInvalidValues = true;
-    }
-    
-    // Format with validation
-    const formatSafe = (val) => {
-      if (!isFinite(val)) {
-        return '<span style="color: var(--color-error); font-weight: bold;">❌ NaN</span>';
-      }
-      if (val < 0) {
-        return '<span style="color: var(--color-warning);">' + formatNumber(0) + '</span>';
-      }
-      return formatNumber(val);
-    };
-    
-    tr.innerHTML = `
-      <td>${state.forecastData.periods[i]}</td>
-      <td>${formatSafe(baseline)}</td>
-      <td>${formatSafe(conservative)}</td>
-      <td>${formatSafe(conservative - baseline)}</td>
-      <td>${formatSafe(moderate)}</td>
-      <td>${formatSafe(moderate - baseline)}</td>
-      <td>${formatSafe(aggressive)}</td>
-      <td>${formatSafe(aggressive - baseline)}</td>
-    `;
-    
-    tbody.appendChild(tr);
+// Two-way heatmap: both inputs stepped evenly across ±X% with everything else at the base; cells show the
+// metric, coloured by sign and size
+function runHeatmap() {
+  const forecastData = state.forecastData;
+  const percent = readSensitivityPercent();
+  const roiInputs = readROIInputs();
+  if (percent === null || !roiInputs) return;
+  
+  const xKey = document.getElementById('heatmapParamX').value;
+  const yKey = document.getElementById('heatmapParamY').value;
+  if (xKey === yKey) {
+    alert('請選擇兩個不同的參數');
+    return;
   }
+  const metric = document.getElementById('heatmapMetric').value;
+  const { label, format } = SENSITIVITY_METRICS[metric];
+  const scenario = forecastData.scenarios.find(s => s.id === document.getElementById('sensitivityScenario').value);
+  const inputs = sensitivityInputs(forecastData, scenario, roiInputs);
+  const xInput = inputs.find(input => input.key === xKey);
+  const yInput = inputs.find(input => input.key === yKey);
+  const factors = Array.from({ length: HEATMAP_STEPS }, (_, i) => 1 + percent / 100 * (2 * i / (HEATMAP_STEPS - 1) - 1));
+  
+  const grid = [...factors].reverse().map(yFactor => factors.map(xFactor =>
+    evaluateSensitivityOverrides(forecastData, scenario, roiInputs, [
+      { input: xInput, value: xInput.base * xFactor },
+      { input: yInput, value: yInput.base * yFactor }
+    ])[metric]));
+  const maxAbs = Math.max(...grid.flat().filter(isFinite).map(Math.abs)) || 1;
+  const cellStyle = (value) => {
+    if (!isFinite(value)) return '';
+    const rgb = value >= 0 ? 'var(--color-success-rgb)' : 'var(--color-error-rgb)';
+    return ` style="background: rgba(${rgb}, ${(0.1 + 0.5 * Math.abs(value) / maxAbs).toFixed(2)}); text-align: right;"`;
+  };
   
-  // Show warning if invalid values detected
-  if (hasInvalidValues) {
-    const warningDiv = document.createElement('div');
-    warningDiv.style.cssText = 'color: var(--color-error); background: rgba(var(--color-error-rgb), 0.1); padding: var(--space-12); border-radius: var(--radius-base); margin-top: var(--space-16);';
-    warningDiv.innerHTML = '❌ <strong>警告：</strong>某些預測值無效 (NaN)。請檢查擬合參數和介入參數設定。';
-    tbody.parentElement.parentElement.appendChild(warningDiv);
-  }
+  const container = document.getElementById('heatmapResults');
+  container.innerHTML = `
+      <div style="font-size: var(--font-size-sm); color: var(--color-text-secondary); margin-bottom: var(--space-8);">
+        「${escapeHtml(scenario.name)}」的${label}：橫軸 ${escapeHtml(xInput.label)}、縱軸 ${escapeHtml(yInput.label)} (各 ±${percent}%)
+      </div>
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>${escapeHtml(yInput.label)} \\ ${escapeHtml(xInput.label)}</th>
+            ${factors.map(f => `<th>${xInput.format(xInput.base * f)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${grid.map((row, r) => `
+          <tr>
+            <th>${yInput.format(yInput.base * factors[HEATMAP_STEPS - 1 - r])}</th>
+            ${row.map(value => `<td${cellStyle(value)}>${format(value)}</td>`).join('')}
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+  container.style.display = 'block';
 }
 
-function displaySummaryStats() {
-  const statsDiv = document.getElementById('summaryStats');
+// Goal seek
+const GOAL_SEEK_METRICS = {
+  accounts: { label: '累計帳戶數', perPeriod: true, format: formatNumber },
+  increment: { label: '增量帳戶', perPeriod: true, format: formatSignedNumber },
+  roi: { label: 'ROI', format: v => isFinite(v) ? `${v.toFixed(1)}%` : 'N/A' },
+  payback: { label: '回收期', format: v => v < 100 ? `${v.toFixed(2)} 年` : '無法回收' }
+};
+const GOAL_SEEK_ITERATIONS = 30;
+const GOAL_SEEK_GRID = 21; // grid points scanned per free parameter over s in [-1, 1] (both ends included)
+
+// Intervention strengths of the scenario that can be solved for; the search range is the scenario's lever bounds
+function goalSeekFreeParams(scenario) {
+  const multiple = scenario.interventions.length > 1;
+  return scenario.interventions.flatMap((intervention, index) => SCENARIO_SLIDERS.map(slider => ({
+    key: `${intervention.id}:${slider.key}`,
+    label: multiple ? `${intervention.name} ${slider.label}` : slider.label,
+    slider,
+    interventionIndex: index,
+    interventionId: intervention.id,
+    current: intervention.params[slider.key],
+    min: scenario.bounds[slider.key].min,
+    max: scenario.bounds[slider.key].max
+  })));
+}
+
+// Value of a free parameter at s in [-1, 1]: s > 0 moves it from the current value towards the upper
+// bound in proportion, s < 0 towards the lower bound
+function goalSeekParamValue(free, s) {
+  return s >= 0 ? free.current + s * (free.max - free.current) : free.current + s * (free.current - free.min);
+}
+
+function goalSeekMetricValue(metric, values, baseline, periodIndex, roiInputs, gross, interventions) {
+  if (metric === 'accounts') return values[periodIndex];
+  if (metric === 'increment') return values[periodIndex] - baseline[periodIndex];
+  const roi = computeScenarioROI(values, baseline, roiInputs, gross, interventions);
+  return metric === 'roi' ? roi.roi : roi.payback;
+}
+
+/**
+ * Solve one free parameter's position s in [-1, 1] for f(s) = target. The GOAL_SEEK_GRID grid points are scanned
+ * first and bisection only runs between neighbours where f - target changes sign (the metric need not be
+ * monotonic); with several crossings the one closest to s = 0 (the current value) wins.
+ * samples collects the scanned metric values; returns null when no grid interval changes sign.
+ */
+function solveGoalSeekAxis(f, target, samples) {
+  const grid = Array.from({ length: GOAL_SEEK_GRID }, (_, i) => -1 + 2 * i / (GOAL_SEEK_GRID - 1));
+  const signs = grid.map(s => {
+    const value = f(s);
+    samples.push(value);
+    return Math.sign(value - target);
+  });
   
-  // Add data quality warning if applicable
-  if (state.dataQuality && state.dataQuality.score < 80) {
-    const warningDiv = document.createElement('div');
-    warningDiv.style.cssText = 'grid-column: 1 / -1; background: rgba(var(--color-warning-rgb), 0.1); padding: var(--space-16); border-radius: var(--radius-base); border: 1px solid var(--color-warning); margin-bottom: var(--space-16);';
-    warningDiv.innerHTML = `
-      <strong>⚠️ 數據品質警告</strong><br>
-      <span style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">
-        基線數據品質分數為 ${state.dataQuality.score}/100。
-        預測不確定性約為 ±${state.forecastData.uncertaintyPercent}%。
-        ${state.dataQuality.missingCount > 0 ? '包含 ' + state.dataQuality.missingCount + ' 個插值數據點。' : ''}
-        請在報告中標明數據限制。
-      </span>
-    `;
-    statsDiv.appendChild(warningDiv);
+  let bracket = null;
+  grid.forEach((s, i) => {
+    const candidate = signs[i] === 0 ? { low: s, high: s, lowSign: 0 }
+      : i > 0 && signs[i - 1] !== 0 && !isNaN(signs[i - 1]) && !isNaN(signs[i]) && signs[i] !== signs[i - 1]
+        ? { low: grid[i - 1], high: s, lowSign: signs[i - 1] }
+        : null;
+    if (candidate && (!bracket || Math.abs(candidate.low + candidate.high) < Math.abs(bracket.low + bracket.high))) {
+      bracket = candidate;
+    }
+  });
+  if (!bracket) return null;
+  
+  let { low, high } = bracket;
+  for (let i = 0; i < GOAL_SEEK_ITERATIONS && low !== high; i++) {
+    const mid = (low + high) / 2;
+    const sign = Math.sign(f(mid) - target);
+    if (sign === 0) {
+      low = high = mid;
+      break;
+    }
+    if (sign === bracket.lowSign) {
+      low = mid;
+    } else {
+      high = mid;
+    }
   }
-  
-  // Safe reduction that handles NaN values
-  const safeSum = (arr) => {
-    return arr.reduce((sum, v) => {
-      if (isFinite(v)) {
-        return sum + v;
-      }
-      return sum;
-    }, 0);
-  };
-  
-  const safeMax = (arr) => {
-    const validValues = arr.filter(v => isFinite(v));
-    return validValues.length > 0 ? Math.max(...validValues) : 0;
-  };
-  
-  const totalIncremental = {
-    conservative: safeSum(state.forecastData.conservative.map((v, i) => {
-      const baseline = state.forecastData.baseline[i];
-      if (isFinite(v) && isFinite(baseline)) {
-        return v - baseline;
-      }
-      return 0;
-    })),
-    moderate: safeSum(state.forecastData.moderate.map((v, i) => {
-      const baseline = state.forecastData.baseline[i];
-      if (isFinite(v) && isFinite(baseline)) {
-        return v - baseline;
-      }
-      return 0;
-    })),
-    aggressive: safeSum(state.forecastData.aggressive.map((v, i) => {
-      const baseline = state.forecastData.baseline[i];
-      if (isFinite(v) && isFinite(baseline)) {
-        return v - baseline;
-      }
-      return 0;
-    }))
+  // Take the end on the target's side so the result meets it (e.g. accounts not below, payback not above)
+  const s = bracket.lowSign > 0 ? low : high;
+  return { s, result: f(s) };
+}
+
+/**
+ * Solve the free parameters' positions (one s in [-1, 1] each, see goalSeekParamValue) at which the metric
+ * equals the target. One free parameter is solved directly with solveGoalSeekAxis. Two free parameters move
+ * independently: the first is scanned on the grid, the second solved for each of its values, and among the
+ * combinations that reach the target the smallest s₁² + s₂² wins (closest to the current values, normalised by the bounds).
+ * Returns { feasible, positions, result, range }, where range holds the lowest and highest metric scanned.
+ */
+function solveGoalSeek(forecastData, scenario, roiInputs, frees, metric, periodIndex, target) {
+  const evaluate = (positions) => {
+    const inputs = sensitivityCase(scenario, roiInputs);
+    frees.forEach((free, i) => { inputs.interventions[free.interventionIndex].params[free.slider.key] = goalSeekParamValue(free, positions[i]); });
+    const { values, baseline, gross } = projectSensitivityCase(forecastData, scenario, inputs);
+    return goalSeekMetricValue(metric, values, baseline, periodIndex, inputs.roiInputs, gross, inputs.interventions);
   };
   
-  const peakIncremental = {
-    conservative: safeMax(state.forecastData.conservative.map((v, i) => {
-      const baseline = state.forecastData.baseline[i];
-      if (isFinite(v) && isFinite(baseline)) {
-        return v - baseline;
-      }
-      return 0;
-    })),
-    moderate: safeMax(state.forecastData.moderate.map((v, i) => {
-      const baseline = state.forecastData.baseline[i];
-      if (isFinite(v) && isFinite(baseline)) {
-        return v - baseline;
-      }
-      return 0;
-    })),
-    aggressive: safeMax(state.forecastData.aggressive.map((v, i) => {
-      const baseline = state.forecastData.baseline[i];
-      if (isFinite(v) && isFinite(baseline)) {
-        return v - baseline;
+  const samples = [];
+  let best = null;
+  if (frees.length === 1) {
+    const root = solveGoalSeekAxis(s => evaluate([s]), target, samples);
+    if (root) best = { positions: [root.s], result: root.result };
+  } else {
+    const distance = (positions) => positions.reduce((sum, s) => sum + s * s, 0);
+    for (let i = 0; i < GOAL_SEEK_GRID; i++) {
+      const first = -1 + 2 * i / (GOAL_SEEK_GRID - 1);
+      const root = solveGoalSeekAxis(s => evaluate([first, s]), target, samples);
+      if (root && (!best || distance([first, root.s]) < distance(best.positions))) {
+        best = { positions: [first, root.s], result: root.result };
       }
-      return 0;
-    }))
-  };
+    }
+  }
   
-  statsDiv.innerHTML = `
-    <div class="summary-card">
-      <h4>保守型情境</h4>
-      <div class="summary-value">${formatNumber(totalIncremental.conservative)}</div>
-      <div class="summary-label">總增量帳戶</div>
-      <div class="summary-value" style="font-size: var(--font-size-xl); margin-top: var(--space-8);">${formatNumber(peakIncremental.conservative)}</div>
-      <div class="summary-label">峰值季度增量</div>
-    </div>
-    <div class="summary-card">
-      <h4>穩健型情境</h4>
-      <div class="summary-value">${formatNumber(totalIncremental.moderate)}</div>
-      <div class="summary-label">總增量帳戶</div>
-      <div class="summary-value" style="font-size: var(--font-size-xl); margin-top: var(--space-8);">${formatNumber(peakIncremental.moderate)}</div>
-      <div class="summary-label">峰值季度增量</div>
-    </div>
-    <div class="summary-card">
-      <h4>積極型情境</h4>
-      <div class="summary-value">${formatNumber(totalIncremental.aggressive)}</div>
-      <div class="summary-label">總增量帳戶</div>
-      <div class="summary-value" style="font-size: var(--font-size-xl); margin-top: var(--space-8);">${formatNumber(peakIncremental.aggressive)}</div>
-      <div class="summary-label">峰值季度增量</div>
-    </div>
-  `;
+  const finite = samples.filter(v => isFinite(v));
+  const range = finite.length > 0 ? [Math.min(...finite), Math.max(...finite)] : [NaN, NaN];
+  return best ? { feasible: true, ...best, range } : { feasible: false, range };
 }
 
-function calculateROI() {
-  const devCost = parseFloat(document.getElementById('devCost').value);
-  const maintCost = parseFloat(document.getElementById('maintCost').value);
-  const acquisitionCost = parseFloat(document.getElementById('acquisitionCost').value);
-  const revenuePerAccount = parseFloat(document.getElementById('revenuePerAccount').value);
-  
-  const forecastYears = parseInt(document.getElementById('forecastYears').value);
-  const totalPlatformCost = devCost + (maintCost * forecastYears);
-  
-  const scenarios = ['conservative', 'moderate', 'aggressive'];
-  const roiResults = [];
-  
-  scenarios.forEach(scenario => {
-    const totalIncremental = state.forecastData[scenario].reduce((sum, v, i) => 
-      sum + (v - state.forecastData.baseline[i]), 0
-    );
-    
-    const incrementalRevenue = totalIncremental * revenuePerAccount * forecastYears;
-    const incrementalAcquisitionCost = totalIncremental * acquisitionCost;
-    const netBenefit = incrementalRevenue - incrementalAcquisitionCost - totalPlatformCost;
-    const roi = (netBenefit / totalPlatformCost) * 100;
-    
-    // Calculate payback period (simplified)
-    const annualBenefit = netBenefit / forecastYears;
-    const paybackYears = annualBenefit > 0 ? totalPlatformCost / (annualBenefit + totalPlatformCost / forecastYears) : Infinity;
-    
-    roiResults.push({
-      scenario,
-      incrementalRevenue,
-      acquisitionCost: incrementalAcquisitionCost,
-      platformCost: totalPlatformCost,
-      netBenefit,
-      roi,
-      payback: paybackYears
-    });
-  });
-  
-  displayROIResults(roiResults);
+// Refill the scenario, period and free parameter options from the current forecast, keeping selections that still exist
+function populateGoalSeekControls() {
+  const forecastData = state.forecastData;
+  const scenarioSelect = document.getElementById('goalSeekScenario');
+  const scenario = forecastData.scenarios.find(s => s.id === scenarioSelect.value) || forecastData.scenarios[0];
+  scenarioSelect.innerHTML = forecastData.scenarios.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join('');
+  scenarioSelect.value = scenario.id;
+  
+  const periodSelect = document.getElementById('goalSeekPeriod');
+  const periodIndex = parseInt(periodSelect.value);
+  periodSelect.innerHTML = forecastData.periods.map((period, i) => `<option value="${i}">${period}</option>`).join('');
+  periodSelect.value = periodIndex < forecastData.periods.length ? periodIndex : forecastData.periods.length - 1;
+  
+  const frees = goalSeekFreeParams(scenario);
+  const options = frees.map(free => `<option value="${free.key}">${escapeHtml(free.label)}</option>`).join('');
+  const first = document.getElementById('goalSeekParam1');
+  const second = document.getElementById('goalSeekParam2');
+  const keep = (select, fallback) => frees.some(free => free.key === select.value) ? select.value : fallback;
+  const firstValue = keep(first, frees[0].key);
+  const secondValue = keep(second, '');
+  first.innerHTML = options;
+  second.innerHTML = '<option value="">無</option>' + options;
+  first.value = firstValue;
+  second.value = secondValue;
+  
+  updateGoalSeekPeriodVisibility();
 }
 
-function displayROIResults(results) {
-  const tbody = document.getElementById('roiTableBody');
-  tbody.innerHTML = '';
-  
-  const scenarioNames = {
-    conservative: '保守型',
-    moderate: '穩健型',
-    aggressive: '積極型'
+function updateGoalSeekPeriodVisibility() {
+  const metric = document.getElementById('goalSeekMetric').value;
+  document.getElementById('goalSeekPeriodGroup').style.display = GOAL_SEEK_METRICS[metric].perPeriod ? 'block' : 'none';
+}
+
+function resetGoalSeek() {
+  document.getElementById('goalSeekResult').style.display = 'none';
+}
+
+function runGoalSeek() {
+  const forecastData = state.forecastData;
+  const metric = document.getElementById('goalSeekMetric').value;
+  const target = parseFloat(document.getElementById('goalSeekTarget').value);
+  if (!isFinite(target)) {
+    alert('請輸入目標值');
+    return;
+  }
+  const freeKeys = [document.getElementById('goalSeekParam1').value, document.getElementById('goalSeekParam2').value].filter(Boolean);
+  if (freeKeys.length === 2 && freeKeys[0] === freeKeys[1]) {
+    alert('請選擇兩個不同的自由參數');
+    return;
+  }
+  const roiInputs = (metric === 'roi' || metric === 'payback') ? readROIInputs() : {};
+  if (!roiInputs) return;
+  
+  const scenario = forecastData.scenarios.find(s => s.id === document.getElementById('goalSeekScenario').value);
+  const frees = goalSeekFreeParams(scenario).filter(free => freeKeys.includes(free.key));
+  const periodIndex = parseInt(document.getElementById('goalSeekPeriod').value);
+  const solution = solveGoalSeek(forecastData, scenario, roiInputs, frees, metric, periodIndex, target);
+  
+  forecastData.goalSeek = {
+    scenarioId: scenario.id,
+    scenarioName: scenario.name,
+    metric,
+    period: GOAL_SEEK_METRICS[metric].perPeriod ? forecastData.periods[periodIndex] : null,
+    target,
+    frees: frees.map((free, i) => ({ ...free, value: solution.feasible ? goalSeekParamValue(free, solution.positions[i]) : NaN })),
+    ...solution
   };
-  
-  results.forEach(result => {
-    const tr = document.createElement('tr');
-    tr.innerHTML = `
-      <td>${scenarioNames[result.scenario]}</td>
-      <td>$${formatNumber(result.incrementalRevenue)}</td>
-      <td>$${formatNumber(result.acquisitionCost)}</td>
-      <td>$${formatNumber(result.platformCost)}</td>
-      <td style="font-weight: var(--font-weight-semibold); color: ${result.netBenefit > 0 ? 'var(--color-success)' : 'var(--color-error)'}">$${formatNumber(result.netBenefit)}</td>
-      <td style="font-weight: var(--font-weight-semibold);">${result.roi.toFixed(1)}%</td>
-      <td>${result.payback < 100 ? result.payback.toFixed(1) : 'N/A'}</td>
-    `;
-    tbody.appendChild(tr);
+  displayGoalSeekResult();
+}
+
+// Solved parameter value, with more decimals than formatLeverValue so it does not look identical to the current one
+function formatGoalSeekValue(free, value) {
+  return free.slider.percent ? `${(value * 100).toFixed(2)}%` : `${+value.toFixed(3)}${free.slider.unit}`;
+}
+
+// Target description, e.g. "Q4 2027 的累計帳戶數 = 3,000,000"
+function describeGoalSeekTarget(goalSeek) {
+  const { label, format } = GOAL_SEEK_METRICS[goalSeek.metric];
+  return `${goalSeek.period ? `${goalSeek.period} 的` : ''}${label} = ${format(goalSeek.target)}`;
+}
+
+function displayGoalSeekResult() {
+  const goalSeek = state.forecastData.goalSeek;
+  const { label, format } = GOAL_SEEK_METRICS[goalSeek.metric];
+  const container = document.getElementById('goalSeekResult');
+  
+  if (goalSeek.feasible) {
+    const values = goalSeek.frees.map(free =>
+      `${escapeHtml(free.label)} = <strong>${formatGoalSeekValue(free, free.value)}</strong> (目前 ${formatGoalSeekValue(free, free.current)})`);
+    container.innerHTML = `
+      <div style="padding: var(--space-12); border-radius: var(--radius-base); background: rgba(var(--color-success-rgb), 0.1);">
+        ✓ 「${escapeHtml(goalSeek.scenarioName)}」達成 ${describeGoalSeekTarget(goalSeek)} 需要：${values.join('、')}<br>
+        <span style="font-size: var(--font-size-sm); color: var(--color-text-secondary);">其他參數維持目前的值；此時${label}為 ${format(goalSeek.result)}</span>
+      </div>
+      <button class="btn btn--sm btn--secondary" style="margin-top: var(--space-8);" onclick="applyGoalSeek()">套用到情境並重新預測</button>`;
+  } else {
+    const bounds = goalSeek.frees.map(free =>
+      `${escapeHtml(free.label)} [${formatLeverValue(free.slider, free.min)}, ${formatLeverValue(free.slider, free.max)}]`);
+    container.innerHTML = `
+      <div style="padding: var(--space-12); border-radius: var(--radius-base); background: rgba(var(--color-warning-rgb), 0.1);">
+        ⚠️ 「${escapeHtml(goalSeek.scenarioName)}」在槓桿邊界內無法達成 ${describeGoalSeekTarget(goalSeek)}：
+        自由參數在邊界 ${bounds.join('、')} 內時，${label}介於 ${format(goalSeek.range[0])} 與 ${format(goalSeek.range[1])} 之間。
+        可放寬步驟 3 的槓桿邊界或加入第二個自由參數。
+      </div>`;
+  }
+  container.style.display = 'block';
+}
+
+// Write the solved values back to the Step 3 scenario and regenerate the forecast (values outside the
+// current bounds are limited and flagged as usual)
+function applyGoalSeek() {
+  const goalSeek = state.forecastData.goalSeek;
+  const scenario = findScenario(goalSeek.scenarioId);
+  const interventions = scenario && goalSeek.frees.map(free => scenario.interventions.find(i => i.id === free.interventionId));
+  if (!scenario || interventions.some(intervention => !intervention)) {
+    alert('此情境或介入已在步驟 3 刪除，無法套用');
+    return;
+  }
+  goalSeek.frees.forEach((free, i) => {
+    interventions[i].params[free.slider.key] = free.value;
   });
-  
-  document.getElementById('roiResults').style.display = 'block';
+  renderScenarioPanels();
+  generateForecasts();
 }
 
 function exportCSV() {
-  let csv = '期間,基線,保守型,保守增量,穩健型,穩健增量,積極型,積極增量\n';
+  const bands = state.forecastData.bands;
+  const scenarios = state.forecastData.scenarios;
+  const seriesList = forecastSeriesList(state.forecastData);
+  let csv = '期間,基線' + scenarios.map(scenario => ',' + csvField(scenario.name) + ',' + csvField(`${scenario.name}增量`)).join('');
+  if (bands) {
+    seriesList.forEach(series => {
+      BOOTSTRAP_PERCENTILES.forEach(p => { csv += ',' + csvField(`${series.name} P${p}`); });
+    });
+  }
+  const flowMode = state.inputMode === 'flow';
+  if (flowMode) {
+    seriesList.forEach(series => { csv += ',' + csvField(`${series.name}(每期${flowLabel()})`); });
+  }
+  csv += '\n';
   
+  const formatSafe = (v) => isFinite(v) ? v.toFixed(0) : 'N/A';
   const n = state.forecastData.periods.length;
   for (let i = 0; i < n; i++) {
     const baseline = state.forecastData.baseline[i];
-    const conservative = state.forecastData.conservative[i];
-    const moderate = state.forecastData.moderate[i];
-    const aggressive = state.forecastData.aggressive[i];
     
-    const baselineStr = isFinite(baseline) ? baseline.toFixed(0) : 'N/A';
-    const conservativeStr = isFinite(conservative) ? conservative.toFixed(0) : 'N/A';
-    const moderateStr = isFinite(moderate) ? moderate.toFixed(0) : 'N/A';
-    const aggressiveStr = isFinite(aggressive) ? aggressive.toFixed(0) : 'N/A';
-    const consIncr = isFinite(conservative) && isFinite(baseline) ? (conservative - baseline).toFixed(0) : 'N/A';
-    const modIncr = isFinite(moderate) && isFinite(baseline) ? (moderate - baseline).toFixed(0) : 'N/A';
-    const aggIncr = isFinite(aggressive) && isFinite(baseline) ? (aggressive - baseline).toFixed(0) : 'N/A';
+    const scenarioValues = scenarios.map(scenario => {
+      const value = scenario.values[i];
+      return ',' + formatSafe(value) + ',' + (isFinite(value) && isFinite(baseline) ? (value - baseline).toFixed(0) : 'N/A');
+    }).join('');
+    
+    const bandValues = bands
+      ? seriesList.map(series => BOOTSTRAP_PERCENTILES.map(p => ',' + formatSafe(bands[series.id]['p' + p][i])).join('')).join('')
+      : '';
     
-    csv += `${state.forecastData.periods[i]},${baselineStr},${conservativeStr},${consIncr},${moderateStr},${modIncr},${aggressiveStr},${aggIncr}\n`;
+    const flowValues = flowMode
+      ? seriesList.map(series => ',' + formatSafe(series.flows[i])).join('')
+      : '';
+    
+    csv += `${state.forecastData.periods[i]},${formatSafe(baseline)}${scenarioValues}${bandValues}${flowValues}\n`;
+  }
+  
+  // Flow mode: observed new / churned accounts behind the fitted cumulative series
+  if (flowMode) {
+    csv += '\n期間,累計帳戶數,新增,流失\n';
+    const flows = periodFlows(state.historicalData);
+    state.historicalData.forEach((row, i) => {
+      csv += `${row.period},${row.accounts.toFixed(0)},${flows[i].added.toFixed(0)},${flows[i].churned.toFixed(0)}\n`;
+    });
+  }
+  
+  // Fitted parameters with 95% confidence intervals
+  csv += `\n模型,${GROWTH_MODELS[state.selectedModel].name}\n`;
+  csv += `擬合設定,"${describeFitSettings(state.historicalData.filter(d => !d.isMissing))}"\n`;
+  csv += '參數,估計值,標準誤,95% 下限,95% 上限,受邊界限制,單位\n';
+  const uncertainty = state.parameterUncertainty;
+  GROWTH_MODELS[state.selectedModel].params.forEach(param => {
+    const { key, digits } = param;
+    const est = uncertainty ? uncertainty[key] : null;
+    const fmt = (v) => isFinite(v) ? v.toFixed(digits) : 'N/A';
+    const bound = est && est.atBound ? BOUND_SIDE_LABELS[est.atBound] : '';
+    csv += `${key},${fmt(state.fittedParams[key])},${est ? fmt(est.se) : 'N/A'},${est ? fmt(est.lower) : 'N/A'},${est ? fmt(est.upper) : 'N/A'},${bound},${paramTimeUnit(param)}\n`;
+  });
+  
+  // Churn layer: the cumulative values above are active accounts net of churn
+  const churn = state.churn;
+  if (churn) {
+    const lifetime = churnLifetime(churn);
+    csv += `\n流失層,${csvField(CHURN_MODES[churn.mode].name)},${CHURN_SOURCES[churn.source]}\n`;
+    csv += '每期流失率,新帳戶流失率,新帳戶期間,平均帳戶壽命(期)\n';
+    csv += `${churn.rate.toFixed(4)},${churnRateAtAge(churn, 0).toFixed(4)},${churn.mode === 'cohort' ? churn.earlyPeriods : 'N/A'},${isFinite(lifetime) ? lifetime.toFixed(1) : 'N/A'}\n`;
+  }
+  
+  // Post-launch calibration: estimated strengths and the actual vs counterfactual gap
+  const calibration = state.calibration;
+  if (calibration) {
+    csv += `\n介入後校準,啟動期 ${calibration.launchPeriod},${csvField(SCENARIO_PRESETS[calibration.preset].name)}\n`;
+    csv += '槓桿,估計值,標準誤,95% 下限,95% 上限,受邊界限制\n';
+    const fmt = (v) => isFinite(v) ? v.toFixed(4) : 'N/A';
+    calibration.estimates.forEach(estimate => {
+      const bound = estimate.atBound ? BOUND_SIDE_LABELS[estimate.atBound] : '';
+      csv += `${estimate.key},${fmt(estimate.value)},${fmt(estimate.se)},${fmt(estimate.lower)},${fmt(estimate.upper)},${bound}\n`;
+    });
+    if (calibration.baselineAtBound) {
+      csv += `基線參數受邊界限制,${csvField(calibration.baselineAtBound)},差距區間僅供參考\n`;
+    }
+    csv += '期間,實際,反事實基線,差距,差距 95% 下限,差距 95% 上限,校準後擬合\n';
+    calibration.points.forEach(point => {
+      csv += `${point.period},${formatSafe(point.actual)},${formatSafe(point.counterfactual)},${formatSafe(point.gap)},` +
+        `${formatSafe(point.lower)},${formatSafe(point.upper)},${formatSafe(point.fitted)}\n`;
+    });
+  }
+  
+  // Candidate model comparison
+  if (state.modelFits) {
+    csv += '\n模型,R²,RMSE,AIC,BIC,收斂,受邊界限制\n';
+    rankModelFits(state.modelFits, 'aic').forEach(fit => {
+      csv += `${GROWTH_MODELS[fit.model].name},${fit.r2.toFixed(4)},${fit.rmse.toFixed(0)},${fit.aic.toFixed(2)},${fit.bic.toFixed(2)},${fit.convergence.converged ? 'Y' : 'N'},` +
+        `${csvField(describeBoundActiveParams(fit.model, fit.uncertainty))}\n`;
+    });
   }
   
   const blob = new Blob([csv], { type: 'text/csv' });
@@ -1653,8 +6396,9 @@ function linearInterpolation(data, index) {
   if (prevIndex >= 0 && nextIndex >= 0) {
     const prevValue = data[prevIndex].accounts;
     const nextValue = data[nextIndex].accounts;
-    const gap = nextIndex - prevIndex;
-    const position = index - prevIndex;
+    // Interpolate in time (differs from the index for irregular dates)
+    const gap = data[nextIndex].t - data[prevIndex].t;
+    const position = data[index].t - data[prevIndex].t;
     return prevValue + (nextValue - prevValue) * (position / gap);
   } else if (prevIndex >= 0) {
     return data[prevIndex].accounts;
@@ -1667,20 +6411,21 @@ function linearInterpolation(data, index) {
 
 function gompertzInterpolation(data, index) {
   // Fit preliminary Gompertz to non-missing data
-  const validData = data.filter(d => !d.isMissing).map(d => d.accounts);
+  const validRows = data.filter(d => !d.isMissing);
+  const validData = validRows.map(d => d.accounts);
   
   if (validData.length < 8) {
     // Fall back to linear if not enough data
     return linearInterpolation(data, index);
   }
   
-  const result = fitGompertzCurve(validData);
+  const result = fitGompertzCurve(validData, { times: validRows.map(d => d.t) });
   if (!result || !result.valid) {
     return linearInterpolation(data, index);
   }
   
-  // Evaluate at missing index
-  const value = gompertzModel(index, result.params.K, result.params.b, result.params.t0);
+  // Evaluate at the missing row's time
+  const value = gompertzModel(data[index].t, result.params.K, result.params.b, result.params.t0);
   return isFinite(value) ? value : linearInterpolation(data, index);
 }
 
@@ -1714,7 +6459,7 @@ document.addEventListener('DOMContentLoaded', () => {
       const impactDiv = document.getElementById('interpolationImpact');
       
       const descriptions = {
-        'ignore': '跳過缺漏季度。如果缺漏較少（1-2個），這是可行的簡單方法。',
+        'ignore': '跳過缺漏期間。如果缺漏較少（1-2個），這是可行的簡單方法。',
         'linear': '在相鄰值之間繪製直線。適用於趨勢較穩定的時期。',
         'gompertz': '使用 S 型曲線估計。最適合成長數據，通常能提供最準確的估計。',
         'forward': '重複前一個值。保守方法，適合成長停滯期。'
@@ -1743,20 +6488,74 @@ document.addEventListener('DOMContentLoaded', () => {
   });
   
   document.getElementById('dataInput').addEventListener('input', parseAndDisplayData);
+  
+  // File import: a dropped or chosen file opens the column mapping dialog
+  const dropZone = document.getElementById('fileDropZone');
+  dropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('dragover');
+  });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+  dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('dragover');
+    if (e.dataTransfer.files.length) importDataFile(e.dataTransfer.files[0]);
+  });
+  document.getElementById('chooseFileBtn').addEventListener('click', () => document.getElementById('fileInput').click());
+  document.getElementById('fileInput').addEventListener('change', (e) => {
+    if (e.target.files.length) importDataFile(e.target.files[0]);
+    e.target.value = ''; // allows choosing the same file again
+  });
+  document.getElementById('importSheet').addEventListener('change', () => {
+    document.getElementById('importHasHeader').checked = guessHasHeader(importSheetRows());
+    refreshImportColumns();
+  });
+  document.getElementById('importHasHeader').addEventListener('change', refreshImportColumns);
+  ['importPeriodColumn', 'importValueColumn', 'importChurnedColumn', 'importSegmentColumn'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateImportSegments);
+  });
+  document.getElementById('importSegmentValue').addEventListener('change', updateImportPreview);
+  document.getElementById('confirmImportBtn').addEventListener('click', confirmImport);
+  document.getElementById('cancelImportBtn').addEventListener('click', closeImportDialog);
+  ['aggregateTo', 'dateGrid', 'inputMode', 'flowFitTarget', 'openingAccounts'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      if (document.getElementById('dataInput').value.trim()) parseAndDisplayData();
+    });
+  });
   document.getElementById('validateDataBtn').addEventListener('click', validateAndProceed);
   
   // Step 2 events
   document.getElementById('backToStep1').addEventListener('click', () => goToStep(1));
+  document.getElementById('modelRankCriterion').addEventListener('change', displayModelComparison);
+  document.getElementById('runBacktestBtn').addEventListener('click', performBacktest);
+  document.getElementById('applyCalibrationBtn').addEventListener('click', applyCalibrationSettings);
+  document.getElementById('addCalibratedScenarioBtn').addEventListener('click', addCalibratedScenario);
+  document.getElementById('refitModelsBtn').addEventListener('click', performFitting);
+  document.getElementById('applyChurnBtn').addEventListener('click', applyChurnSettings);
+  document.getElementById('applyConstraintsBtn').addEventListener('click', () => {
+    const error = readParamConstraints();
+    if (error) {
+      alert(error);
+      return;
+    }
+    performFitting();
+  });
+  document.getElementById('clearConstraintsBtn').addEventListener('click', () => {
+    state.paramConstraints = {};
+    performFitting();
+  });
+  document.getElementById('showCandidateCurves').addEventListener('change', () => {
+    if (state.fittedParams) displayFittingChart();
+  });
   document.getElementById('proceedToStep3').addEventListener('click', () => {
     goToStep(3);
-    initializeSliders();
+    renderScenarioPanels();
   });
   
   // Step 3 events
-  document.querySelectorAll('.scenario-preset').forEach(btn => {
+  document.querySelectorAll('.scenario-add').forEach(btn => {
     btn.addEventListener('click', (e) => {
-      const scenario = e.target.dataset.scenario;
-      loadScenarioPreset(scenario);
+      addScenario(e.target.dataset.preset);
     });
   });
   
@@ -1764,13 +6563,27 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('proceedToStep4').addEventListener('click', generateForecasts);
   
   // Step 4 events
+  document.getElementById('attributionScenario').addEventListener('change', displayIncrementalChart);
   document.getElementById('backToStep3').addEventListener('click', () => goToStep(3));
   document.getElementById('resetAllBtn').addEventListener('click', () => {
     if (confirm('確定要重新開始嗎？')) {
+      if (cancelBootstrap) {
+        cancelBootstrap();
+        cancelBootstrap = null;
+      }
+      resetMonteCarlo();
+      resetSensitivity();
+      resetGoalSeek();
       goToStep(1);
       document.getElementById('dataInput').value = '';
       state.historicalData = [];
       state.fittedParams = null;
+      state.modelFits = null;
+      state.paramConstraints = {};
+      state.calibrationSettings.launchT = null;
+      state.calibration = null;
+      state.churn = null;
+      displayChurnStatus();
       state.forecastData = null;
     }
   });
@@ -1778,7 +6591,35 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('exportCSVBtn').addEventListener('click', exportCSV);
   document.getElementById('exportChartBtn').addEventListener('click', exportChart);
   document.getElementById('calculateROIBtn').addEventListener('click', calculateROI);
+  document.getElementById('applyDisplaySettingsBtn').addEventListener('click', applyDisplaySettings);
+  document.getElementById('exportCashFlowBtn').addEventListener('click', exportCashFlowSchedule);
+  document.getElementById('addCapexTrancheBtn').addEventListener('click', addCapexTranche);
+  document.getElementById('exportProjectBtn').addEventListener('click', exportProjectSettings);
+  document.getElementById('importProjectBtn').addEventListener('click', () => document.getElementById('projectFileInput').click());
+  document.getElementById('projectFileInput').addEventListener('change', (e) => {
+    if (e.target.files.length) importProjectSettings(e.target.files[0]);
+    e.target.value = '';
+  });
+  Object.entries(OPEX_FIELDS).forEach(([key, field]) => {
+    document.getElementById(field.id).addEventListener('change', (e) => updateOpexSetting(key, e.target.value));
+  });
+  document.getElementById('runMonteCarloBtn').addEventListener('click', startMonteCarlo);
+  document.getElementById('monteCarloMetric').addEventListener('change', displayMonteCarloChart);
+  document.getElementById('sensitivityScenario').addEventListener('change', () => {
+    resetSensitivity();
+    populateSensitivityControls();
+  });
+  document.getElementById('runSensitivityBtn').addEventListener('click', runSensitivityAnalysis);
+  document.getElementById('sensitivityMetric').addEventListener('change', displayTornadoChart);
+  document.getElementById('runHeatmapBtn').addEventListener('click', runHeatmap);
+  document.getElementById('goalSeekScenario').addEventListener('change', () => {
+    resetGoalSeek();
+    populateGoalSeekControls();
+  });
+  document.getElementById('goalSeekMetric').addEventListener('change', updateGoalSeekPeriodVisibility);
+  document.getElementById('runGoalSeekBtn').addEventListener('click', runGoalSeek);
   
-  // Initialize sliders
-  initializeSliders();
+  // Render the scenario panels and the cost schedule editor
+  renderScenarioPanels();
+  renderCostSchedule();
 });
\ No newline at end of file